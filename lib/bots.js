@@ -0,0 +1,439 @@
+/**
+ * MULTIPLAYER TAG — Server-side Bots
+ *
+ * Bots are ordinary room players with no socket and a `bot` brain attached.
+ * Each tick server.js asks botCommand for a {left,right,jump} command and
+ * queues it through the same room.inputs path a client's input takes, so
+ * bots obey exactly the physics and mode rules humans do.
+ *
+ * Movement runs on a navigation graph built once per map: one node per
+ * platform top, and edges for walking, jumping, dropping off edges, bounce
+ * pads and teleporters. A brain picks a goal every `think` ticks — chase
+ * whoever the mode lets it touch when it's "it", otherwise flee to the
+ * platform it can reach well before any threat — and follows the cheapest
+ * path there, steering in the air so it doesn't bump its head on the
+ * platform it's climbing to.
+ */
+const {
+  TICK_RATE, GRAVITY, MOVE_SPEED, JUMP_SPEED, BOUNCE_POWER, PLAYER_W, PLAYER_H, MAP_W,
+} = require('../public/shared');
+const { getMode } = require('./modes');
+
+// think: ticks between goal decisions. dawdle: chance a decision is to stand
+// still. lead: seconds of target velocity to aim ahead by. caution: how far
+// (px) a threat must be before a runner goes off to rescue a teammate.
+const DIFFICULTIES = {
+  easy:   { think:36, dawdle:0.25, lead:0,    caution:320 },
+  normal: { think:14, dawdle:0.05, lead:0.1,  caution:220 },
+  hard:   { think:4,  dawdle:0,    lead:0.25, caution:160 },
+};
+const BOT_NAMES = ['Beep', 'Boop', 'Chip', 'Gizmo', 'Sprocket', 'Widget', 'Bolt', 'Rivet'];
+
+// Feet within this of a platform top counts as standing on it
+const STAND_EPS = 2;
+// How close (px) to a takeoff point counts as there; one tick moves ~4.3px
+const ARRIVE_PX = 5;
+// A place to wait is not a takeoff point — stopping near it is enough, and
+// stops an idle bot shuffling on the spot
+const SETTLE_PX = 14;
+// Jump and bounce heights, less a margin so marginal edges aren't planned
+const JUMP_RISE   = JUMP_SPEED * JUMP_SPEED / (2 * GRAVITY) - 12;
+const BOUNCE_RISE = BOUNCE_POWER * BOUNCE_POWER / (2 * GRAVITY) - 16;
+// Fraction of the theoretical air-time distance we rely on
+const REACH_MARGIN = 0.8;
+// Flat costs (ticks) on top of travel time, so bots prefer walking
+const EDGE_COST = { walk:0, drop:6, jump:10, bounce:16, teleport:4 };
+
+// ─── Navigation graph ────────────────────────────────────────────────────────
+// Horizontal distance covered between leaving the ground at vy and landing
+// `rise` px higher (negative = lower), or -1 if it can't get that high.
+function airReach(vy, rise) {
+  const disc = vy * vy - 2 * GRAVITY * rise;
+  if (disc < 0) return -1;
+  return MOVE_SPEED * (-vy + Math.sqrt(disc)) / GRAVITY * REACH_MARGIN;
+}
+
+function travelTicks(px) { return Math.abs(px) / MOVE_SPEED * TICK_RATE; }
+
+// Nodes are ranges of player-centre x where the feet are supported (the box
+// can hang a little past the platform edge) and there's room to stand: a
+// platform top with a low ceiling over part of it becomes several nodes.
+const HANG = PLAYER_W / 2 - 6;
+
+// Spans are [x0, x1, wallL, wallR]; a wall end can't be walked off.
+function standableSpans(plat, platforms) {
+  let spans = [[Math.max(PLAYER_W / 2, plat.x - HANG), Math.min(MAP_W - PLAYER_W / 2, plat.x + plat.w + HANG), plat.x <= 0, plat.x + plat.w >= MAP_W]];
+  for (const o of platforms) {
+    if (o === plat || o.oneWay || o.y >= plat.y || o.y + o.h <= plat.y - PLAYER_H) continue;
+    const b0 = o.x - PLAYER_W / 2, b1 = o.x + o.w + PLAYER_W / 2;
+    spans = spans.flatMap(([x0, x1, wl, wr]) => [
+      x1 > b0 ? [x0, b0, wl, true] : [x0, x1, wl, wr],
+      x0 < b1 ? [b1, x1, true, wr] : [x0, x1, wl, wr],
+    ]).filter(([x0, x1], i, all) => x1 - x0 >= 4 && all.findIndex(o => o[0] === x0 && o[1] === x1) === i);
+  }
+  return spans;
+}
+
+function platformNode(plat, [x0, x1, wallL, wallR], id) {
+  return { id, y:plat.y, left:plat.x, right:plat.x + plat.w, x0, x1, wallL, wallR, oneWay:!!plat.oneWay, pads:[], edges:[] };
+}
+
+// Centre-x ranges on a node where the feet touch a bounce pad
+function onPad(n, cx) { return n.pads.some(([x0, x1]) => cx > x0 && cx < x1); }
+
+// The nearest spot to x on n clear of its pads, with room to stop short
+function offPad(n, x) {
+  const pad = n.pads.find(([x0, x1]) => x > x0 - SETTLE_PX && x < x1 + SETTLE_PX);
+  if (!pad) return x;
+  const left = pad[0] - SETTLE_PX, right = pad[1] + SETTLE_PX;
+  if (left < n.x0) return right;
+  if (right > n.x1) return left;
+  return x - left < right - x ? left : right;
+}
+
+// Would a player box centred at cx be under node n's platform?
+function underneath(n, cx) { return cx + PLAYER_W / 2 > n.left && cx - PLAYER_W / 2 < n.right; }
+
+// Can a player centred at cx rise from feet at y0 to feet at y1 without
+// hitting the underside of a platform? One-way platforms let us through.
+function headroom(platforms, cx, y0, y1) {
+  return !platforms.some(p => !p.oneWay && cx + PLAYER_W / 2 > p.x && cx - PLAYER_W / 2 < p.x + p.w &&
+    p.y + p.h <= y0 - PLAYER_H && p.y + p.h > y1 - PLAYER_H);
+}
+
+// Coming down onto b at lx from feet height `top`, would we land on some
+// other platform first?
+function landable(platforms, b, lx, top) {
+  return !platforms.some(p => p.y < b.y && p.y > top &&
+    lx + PLAYER_W / 2 > p.x && lx - PLAYER_W / 2 < p.x + p.w);
+}
+
+// Best jump/drop/walk edge from a to b, trying both directions
+function platformEdge(a, b, platforms) {
+  const rise = a.y - b.y;
+  let best = null;
+  for (const dir of [1, -1]) {
+    // Takeoff: the end of `a` facing b — or, when b is overhead, the last
+    // spot on `a` that's clear of b's underside (one-way ones we jump through).
+    let tx = dir > 0 ? a.x1 : a.x0;
+    if (rise > 0 && !b.oneWay) {
+      const clear = dir > 0 ? b.left - PLAYER_W / 2 - 4 : b.right + PLAYER_W / 2 + 4;
+      tx = dir > 0 ? Math.min(tx, clear) : Math.max(tx, clear);
+    }
+    // A pad under the takeoff would launch a bounce instead of the jump
+    if (tx < a.x0 || tx > a.x1 || onPad(a, tx)) continue;
+    // Landing: a little way onto b, past where we left a
+    const inset = Math.min(16, (b.x1 - b.x0) / 2);
+    let lx = dir > 0 ? Math.max(b.x0 + inset, tx) : Math.min(b.x1 - inset, tx);
+    if (rise <= 0 && Math.abs(rise) > STAND_EPS) {
+      // Going down we have to leave a's span before we can fall
+      const off = dir > 0 ? a.right + PLAYER_W / 2 + 2 : a.left - PLAYER_W / 2 - 2;
+      lx = dir > 0 ? Math.max(lx, off) : Math.min(lx, off);
+    }
+    if (lx < b.x0 || lx > b.x1) continue;
+    const dx = Math.abs(lx - tx);
+    const open = dir > 0 ? !a.wallR : !a.wallL;
+    let type;
+    if (open && Math.abs(rise) <= STAND_EPS && (dir > 0 ? b.x0 <= a.x1 : b.x1 >= a.x0)) type = 'walk';
+    else if (open && rise < 0 && dx <= airReach(0, rise) && landable(platforms, b, lx, a.y)) type = 'drop';
+    else if (rise <= JUMP_RISE && dx <= airReach(JUMP_SPEED, rise) && headroom(platforms, tx, a.y, Math.min(b.y, a.y - 40)) &&
+             landable(platforms, b, lx, a.y - JUMP_RISE)) type = 'jump';
+    else continue;
+    const cost = travelTicks(dx) + EDGE_COST[type];
+    if (!best || cost < best.cost) best = { from:a.id, to:b.id, type, tx, lx, cost };
+  }
+  return best;
+}
+
+// Topmost node whose span covers cx at or below feet y
+function nodeBelow(graph, cx, y) {
+  let best = null;
+  for (const n of graph.nodes) if (n.y >= y - STAND_EPS && cx >= n.x0 && cx <= n.x1 && (!best || n.y < best.y)) best = n;
+  return best;
+}
+
+// Moving platforms aren't planned over — they won't be where the plan expects
+// — so bots treat them like scenery they happen to land on. Crumbling ones
+// stay in: they come back, and a bot that drops through one just replans
+function buildNavGraph(map) {
+  const nodes = [], platforms = map.platforms.filter(p => !p.path);
+  for (const plat of platforms) for (const span of standableSpans(plat, platforms)) nodes.push(platformNode(plat, span, nodes.length));
+  const graph = { nodes, platforms };
+  const padNode = pad => nodes.find(n => Math.abs(n.y - (pad.y + pad.h)) <= STAND_EPS && pad.x + pad.w / 2 >= n.x0 && pad.x + pad.w / 2 <= n.x1);
+  for (const pad of map.bouncePads) padNode(pad)?.pads.push([pad.x - PLAYER_W / 2 + 2, pad.x + pad.w + PLAYER_W / 2 - 2]);
+
+  for (const a of nodes) for (const b of nodes) {
+    if (a === b) continue;
+    const e = platformEdge(a, b, platforms);
+    if (e) a.edges.push(e);
+  }
+
+  // Pads sit on a platform; stand on one and it launches you upward
+  for (const pad of map.bouncePads) {
+    const px = pad.x + pad.w / 2, a = padNode(pad);
+    if (!a) continue;
+    for (const b of nodes) {
+      const rise = a.y - b.y;
+      if (rise <= JUMP_RISE / 2 || rise > BOUNCE_RISE || underneath(b, px) || !headroom(platforms, px, a.y, b.y)) continue;
+      const lx = Math.max(b.x0 + 16, Math.min(b.x1 - 16, px));
+      if (Math.abs(lx - px) > airReach(BOUNCE_POWER, rise) || !landable(platforms, b, lx, a.y - BOUNCE_RISE)) continue;
+      a.edges.push({ from:a.id, to:b.id, type:'bounce', tx:px, lx, cost:travelTicks(lx - px) + EDGE_COST.bounce });
+    }
+  }
+
+  // Walk into a teleporter and come out standing over its target
+  for (const tp of map.teleporters) {
+    const b = nodeBelow(graph, tp.targetX, tp.targetY);
+    if (!b) continue;
+    for (const a of nodes) {
+      if (a === b || tp.x < a.x0 || tp.x > a.x1 || Math.abs(a.y - PLAYER_H / 2 - tp.y) >= tp.r + 10) continue;
+      a.edges.push({ from:a.id, to:b.id, type:'teleport', tx:tp.x, lx:tp.targetX, cost:EDGE_COST.teleport });
+    }
+  }
+  return graph;
+}
+
+// Graphs are cached per map object — built-in maps and each uploaded one
+const graphs = new WeakMap();
+function navGraph(map) {
+  let g = graphs.get(map);
+  if (!g) { g = buildNavGraph(map); graphs.set(map, g); }
+  return g;
+}
+
+// Node a grounded player is standing on, or the one they'll land on
+function playerNode(graph, p) {
+  const cx = p.x + PLAYER_W / 2, feet = p.y + PLAYER_H;
+  if (p.onGround) {
+    const n = graph.nodes.find(n => Math.abs(n.y - feet) <= STAND_EPS && cx > n.x0 - PLAYER_W / 2 + HANG && cx < n.x1 + PLAYER_W / 2 - HANG);
+    if (n) return n;
+  }
+  return nodeBelow(graph, cx, feet);
+}
+
+/**
+ * Dijkstra from node `start` entered at x. Returns { cost:[ticks], via:[edge] }
+ * per node id; walking along a node to an edge's takeoff counts toward cost.
+ * Edges in `blocked` (a Set) are skipped.
+ */
+function shortestPaths(graph, start, x, blocked) {
+  const n = graph.nodes.length;
+  const cost = new Array(n).fill(Infinity), via = new Array(n).fill(null), at = new Array(n).fill(0), done = new Array(n).fill(false);
+  cost[start.id] = 0; at[start.id] = x;
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) if (!done[i] && cost[i] < Infinity && (u < 0 || cost[i] < cost[u])) u = i;
+    if (u < 0) break;
+    done[u] = true;
+    for (const e of graph.nodes[u].edges) {
+      if (blocked && blocked.has(e)) continue;
+      const c = cost[u] + travelTicks(e.tx - at[u]) + e.cost;
+      if (c < cost[e.to]) { cost[e.to] = c; via[e.to] = e; at[e.to] = e.lx; }
+    }
+  }
+  return { cost, via };
+}
+
+// First edge on the path to `goal`
+function firstEdge(paths, start, goal) {
+  let e = paths.via[goal.id];
+  while (e && e.from !== start.id) e = paths.via[e.from];
+  return e;
+}
+
+// ─── Brains ──────────────────────────────────────────────────────────────────
+// An edge the bot has failed to take twice this round (bumped its head,
+// fell short) is left out of its planning until the next round.
+const MAX_EDGE_FAILS = 2;
+
+function freshState() {
+  return { thinkIn:0, goal:null, node:null, edge:null, launched:null, leftGround:false, jumpHeld:false, fails:new Map(), blocked:new Set() };
+}
+
+function newBrain(difficulty = 'normal', extra) {
+  if (!Object.hasOwn(DIFFICULTIES, difficulty)) difficulty = 'normal';
+  return { difficulty, ...freshState(), ...extra };
+}
+
+function resetBrain(brain) { Object.assign(brain, freshState()); }
+
+function launch(brain, e) {
+  if (brain.launched !== e) { brain.launched = e; brain.leftGround = false; }
+}
+
+function noteFailure(brain, e) {
+  const n = (brain.fails.get(e) || 0) + 1;
+  brain.fails.set(e, n);
+  if (n >= MAX_EDGE_FAILS) brain.blocked.add(e);
+}
+
+const centre = p => ({ x:p.x + PLAYER_W / 2, y:p.y + PLAYER_H / 2 });
+
+// What the mode would make of `a` touching `b` once tag cooldowns run out
+function contactKind(room, a, b) {
+  if (a === b || a.eliminated || b.eliminated) return null;
+  return getMode(room).contact(room, { ...a, tagCooldown:0 }, { ...b, tagCooldown:0 });
+}
+
+// Sets brain.goal = { x, node, touch } (or null to stand still); touch goals
+// are players to reach, the rest are places to wait
+function think(room, p, brain, graph, here) {
+  const cfg = DIFFICULTIES[brain.difficulty];
+  const prev = brain.goal;
+  brain.goal = null;
+  if (!here || p.frozen || p.stunTicks > 0 || p.eliminated || Math.random() < cfg.dawdle) return;
+  const me = centre(p);
+  const paths = shortestPaths(graph, here, me.x, brain.blocked);
+  // Invisible players are neither chased nor run from
+  const others = [...room.players.values()].filter(o => o !== p && !o.eliminated && o.effect !== 'invisible');
+  // Lead a target that's some way off; up close, go straight at it
+  const goTo = o => {
+    const c = centre(o), x = c.x + (Math.abs(c.x - me.x) > PLAYER_W * 3 ? o.vx * cfg.lead : 0);
+    return { x, node:playerNode(graph, o) || here, touch:true };
+  };
+  const nearest = list => {
+    let best = null, bestCost = Infinity;
+    for (const o of list) {
+      const n = playerNode(graph, o), pc = n ? paths.cost[n.id] : Infinity;
+      // Unreachable players still rank, behind every reachable one
+      const c = (pc === Infinity ? 1e6 : pc) + Math.hypot(centre(o).x - me.x, centre(o).y - me.y) / 100;
+      if (c < bestCost) { bestCost = c; best = o; }
+    }
+    return best;
+  };
+
+  // Chase: anyone this bot may tag, falling back to anyone not on our side
+  if (p.isIt) {
+    const prey = nearest(others.filter(o => contactKind(room, p, o) && !o.tagCooldown))
+              || nearest(others.filter(o => contactKind(room, p, o)));
+    if (prey) brain.goal = goTo(prey);
+    return;
+  }
+
+  const threats = others.filter(o => { const k = contactKind(room, o, p); return k && k !== 'rescue'; });
+  const danger = Math.min(Infinity, ...threats.map(o => Math.hypot(centre(o).x - me.x, centre(o).y - me.y)));
+
+  // Thaw a frozen teammate when it's safe enough to
+  const friend = danger > cfg.caution && nearest(others.filter(o => contactKind(room, p, o) === 'rescue'));
+  if (friend) { brain.goal = goTo(friend); return; }
+  if (!threats.length) return;
+
+  // Flee: the reachable node we'd get to furthest ahead of every threat,
+  // then the end of it away from the nearest one. A threat's time to a node
+  // is its path cost, capped by straight-line running time in case it has a
+  // route the graph doesn't know about.
+  const threatPaths = threats.map(o => { const n = playerNode(graph, o); return n ? shortestPaths(graph, n, centre(o).x).cost : null; });
+  let bestNode = here, bestScore = -Infinity;
+  for (const n of graph.nodes) {
+    if (paths.cost[n.id] === Infinity) continue;
+    const mid = (n.x0 + n.x1) / 2;
+    let lead = Infinity;
+    threats.forEach((o, i) => {
+      const straight = travelTicks(Math.hypot(centre(o).x - mid, centre(o).y - (n.y - PLAYER_H / 2))) * 2;
+      const theirs = Math.min(threatPaths[i] ? threatPaths[i][n.id] : Infinity, straight);
+      lead = Math.min(lead, theirs - paths.cost[n.id]);
+    });
+    const score = lead + (brain.difficulty === 'easy' ? Math.random() * 60 : 0);
+    if (score > bestScore) { bestScore = score; bestNode = n; }
+  }
+  // Run for the end away from the nearest threat — keeping to the end we
+  // already chose while it hovers mid-platform, so we don't dither
+  const cx = centre(nearest(threats)).x, mid = (bestNode.x0 + bestNode.x1) / 2;
+  const away = cx > mid + PLAYER_W ? bestNode.x0
+    : cx < mid - PLAYER_W ? bestNode.x1
+    : prev?.end !== undefined && prev.node === bestNode ? prev.end
+    : cx > mid ? bestNode.x0 : bestNode.x1;
+  brain.goal = { x:offPad(bestNode, away), node:bestNode, touch:false, end:away };
+}
+
+function toward(cx, x) {
+  if (x > cx + ARRIVE_PX / 2) return { left:false, right:true };
+  if (x < cx - ARRIVE_PX / 2) return { left:true, right:false };
+  return { left:false, right:false };
+}
+
+// Jumps fire on a rising edge, so a press straight after one is a release
+function press(brain, cmd) {
+  cmd.jump = !brain.jumpHeld;
+  return cmd;
+}
+
+// Turns the brain's goal into this tick's {left,right,jump}
+function steer(p, brain, graph) {
+  const cx = centre(p).x, feet = p.y + PLAYER_H;
+  const e = brain.edge, idle = { left:false, right:false };
+
+  // In the air — on purpose or off a pad we walked over — head for the
+  // next platform on the path, but while still below it don't drift under
+  // anything we'd bump our head on
+  if (!p.onGround) {
+    if (e) {
+      const b = graph.nodes[e.to], step = Math.sign(e.lx - cx) * PLAYER_W / 2;
+      const blocked = feet > b.y && !headroom(graph.platforms, cx + step, feet, b.y);
+      return toward(cx, blocked ? e.tx : e.lx);
+    }
+    return brain.goal ? toward(cx, brain.goal.x) : idle;
+  }
+
+  if (!brain.goal) return idle;
+  if (!e) return brain.goal.touch || Math.abs(cx - brain.goal.x) > SETTLE_PX ? toward(cx, brain.goal.x) : idle;
+  // Aim a little past the landing point: stopping just short of it can
+  // leave us stood on the platform's last pixel
+  if (e.type === 'walk' || e.type === 'drop') { launch(brain, e); return toward(cx, e.lx + Math.sign(e.lx - e.tx) * ARRIVE_PX); }
+  if (Math.abs(cx - e.tx) > ARRIVE_PX) return toward(cx, e.tx);
+  if (e.type === 'teleport') {
+    if (p.teleportCooldown === 0) launch(brain, e);
+    return idle;
+  }
+  if (e.type === 'bounce') { launch(brain, e); return idle; }
+  // Overshot into a spot under something: step back out before jumping
+  if (!headroom(graph.platforms, cx, feet, graph.nodes[e.to].y)) return toward(cx, e.tx);
+  const cmd = press(brain, toward(cx, e.lx));
+  if (cmd.jump) launch(brain, e);
+  return cmd;
+}
+
+/**
+ * This tick's input command for a bot player. Re-plans whenever the bot
+ * lands somewhere; re-picks its goal every `think` ticks.
+ */
+function botCommand(room, p, map) {
+  const brain = p.bot, graph = navGraph(map);
+  const here = p.onGround ? playerNode(graph, p) : null;
+  let replan = false;
+  // Falling past both ends of the edge, or touching down anywhere but its
+  // far end, means it didn't work
+  const e = brain.launched, feet = p.y + PLAYER_H;
+  if (e && !here && p.vy > 0 && feet > graph.nodes[e.from].y + PLAYER_H && feet > graph.nodes[e.to].y + PLAYER_H) {
+    noteFailure(brain, e); brain.launched = brain.edge = null;
+  } else if (e && !here && e.type !== 'bounce' && p.vy < JUMP_SPEED) {
+    // Landed on a pad we didn't plan for; the edge is moot, but not broken
+    brain.launched = brain.edge = null;
+  } else if (e && !here) brain.leftGround = true;
+  else if (brain.launched) {
+    if (here === graph.nodes[brain.launched.to]) brain.launched = null;
+    else if (brain.leftGround || here !== brain.node) { noteFailure(brain, brain.launched); brain.launched = null; replan = true; }
+  }
+  // Mid-jump is a poor time to change plans, but a bot bouncing on a pad
+  // without meaning to never touches the ground to re-think
+  if (--brain.thinkIn <= 0 && (here || !brain.edge)) {
+    think(room, p, brain, graph, here || playerNode(graph, p));
+    brain.thinkIn = DIFFICULTIES[brain.difficulty].think;
+    replan = true;
+  }
+  if (here && here !== brain.node) { brain.node = here; replan = true; }
+  if (replan && here) {
+    const goal = brain.goal;
+    brain.edge = goal && goal.node !== here
+      ? firstEdge(shortestPaths(graph, here, centre(p).x, brain.blocked), here, goal.node)
+      : null;
+  }
+  const cmd = steer(p, brain, graph);
+  brain.jumpHeld = !!cmd.jump;
+  return cmd;
+}
+
+module.exports = {
+  DIFFICULTIES, BOT_NAMES,
+  buildNavGraph, navGraph, playerNode, shortestPaths, newBrain, resetBrain, botCommand,
+};
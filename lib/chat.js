@@ -0,0 +1,75 @@
+/**
+ * MULTIPLAYER TAG — Chat Filtering
+ *
+ * Profanity is masked rather than rejected, so a message still gets through
+ * with the offending words starred out. Words are matched after undoing
+ * common disguises (case, 1→i, 0→o, @→a, $→s, …; stretched letters like
+ * "shiiit"); sentence punctuation after a word is dropped first, so "damn!"
+ * is "damn" and not "damni". Stems match at the start of a word ("shitty",
+ * but not "saltwater" or "swank"), except for the few innocent words in
+ * INNOCENT that begin with one ("shiitake"); short words only match whole
+ * words ("ass" but not "class"). CHAT_BLOCKLIST adds whole words of your own.
+ *
+ * Spam: beyond the chat rate limit, a sender repeating one of their last few
+ * messages is turned away.
+ */
+
+const STEMS = ['fuck', 'shit', 'bitch', 'nigger', 'nigga', 'faggot', 'whore', 'wank', 'twat', 'asshole', 'motherf'];
+const WORDS = ['ass', 'arse', 'cunt', 'cunts', 'dick', 'cock', 'fag', 'piss', 'prick', 'slut', 'bastard', 'retard', 'damn', 'crap', 'tits'];
+const INNOCENT = ['shiitake', 'shitake', 'wankel', 'twattle'];
+const LEET  = { '0':'o', '1':'i', '!':'i', '3':'e', '4':'a', '@':'a', '5':'s', '$':'s', '7':'t', '+':'t', '8':'b' };
+
+const REPEAT_WINDOW_MS = 30000;
+const REPEAT_MEMORY    = 3;
+
+const TRAILING  = /[.,!?;:'"()[\]]+$/;
+const normalize = w => [...w.toLowerCase().replace(TRAILING, '')].map(c => LEET[c] || c).join('').replace(/[^a-z]/g, '');
+const squeeze   = w => w.replace(/(.)\1+/g, '$1');
+
+/**
+ * → { clean(text) → { text, masked }, offensive(text) → bool }.
+ * extraWords: more whole words to block (e.g. from CHAT_BLOCKLIST).
+ */
+function newChatFilter(extraWords = []) {
+  const words = new Set([...WORDS, ...extraWords.map(normalize).filter(Boolean)]);
+  const bad = token => {
+    const n = normalize(token);
+    if (!n) return false;
+    for (const w of [n, squeeze(n)]) {
+      if (words.has(w)) return true;
+      if (STEMS.some(s => w.startsWith(s)) && !INNOCENT.some(i => w.startsWith(i))) return true;
+    }
+    return false;
+  };
+  return {
+    clean(text) {
+      let masked = false;
+      const out = text.replace(/[^\s]+/g, token => {
+        if (!bad(token)) return token;
+        masked = true;
+        return '*'.repeat(token.length);
+      });
+      return { text:out, masked };
+    },
+    offensive(text) {
+      return text.split(/\s+/).some(bad);
+    },
+  };
+}
+
+// Per-sender memory for repeat detection
+function newSpamState() {
+  return { recent:[] };
+}
+
+// → a reason to turn the message away, or null
+function spamCheck(state, text, now = Date.now()) {
+  const key = squeeze(text.toLowerCase().replace(/\s+/g, ' '));
+  state.recent = state.recent.filter(r => now - r.at < REPEAT_WINDOW_MS);
+  if (state.recent.some(r => r.key === key)) return 'Repeated message';
+  state.recent.push({ key, at:now });
+  if (state.recent.length > REPEAT_MEMORY) state.recent.shift();
+  return null;
+}
+
+module.exports = { newChatFilter, newSpamState, spamCheck };
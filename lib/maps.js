@@ -0,0 +1,163 @@
+/**
+ * MULTIPLAYER TAG — Map Loading & Validation
+ *
+ * Built-in maps are JSON files in maps/, loaded in filename order at startup.
+ * Hosts can upload their own; both go through validateMap, which rejects
+ * anything the physics can't play fairly and returns a clean copy holding
+ * only known fields, so an uploaded map is safe to broadcast to the room.
+ *
+ * Map JSON:
+ *   name         string, 1–32 chars
+ *   theme        one of MAP_THEMES — picks the client's scenery and particles
+ *   bgTop/bgBottom  sky gradient, #rrggbb
+ *   platforms    [{x,y,w,h,color,ground?}]   solid, inside the map, plus hazards:
+ *                  path:[{x,y}], speed   moves from x,y through the path points
+ *                                        (its top-left) and back, at speed px/s
+ *                  crumble:true          falls away shortly after it's landed on
+ *                  ice:true              slippery to run on
+ *                  oneWay:true           jump up through it, land on top
+ *   bouncePads   [{x,y,w,h}]                 inside the map
+ *   teleporters  [{x,y,r,targetX,targetY}]   target = where the player's feet land
+ *   powerups     [{x,y}]                     centre of a power-up spot (lib/powerups.js)
+ *   spawns       [{x,y}]                     player top-left, at least minSpawns
+ */
+const fs   = require('fs');
+const path = require('path');
+const { MAP_W, MAP_H, PLAYER_W, PLAYER_H, aabb } = require('../public/shared');
+
+const MAP_DIR    = path.join(__dirname, '..', 'maps');
+const MAP_THEMES = ['forest', 'arctic', 'desert', 'plain'];
+const LIMITS     = { platforms:200, bouncePads:20, teleporters:10, powerups:12, spawns:16 };
+const PATH_POINTS = 4;
+const PATH_SPEED  = [20, 300];
+// Uploads are JSON text; this keeps a hostile one from costing much to parse
+const MAX_MAP_BYTES = 64 * 1024;
+const HEX_COLOR  = /^#[0-9a-f]{6}$/i;
+
+function isNum(v) { return typeof v === 'number' && Number.isFinite(v); }
+
+function inBounds(x, y, w, h) { return x >= 0 && y >= 0 && x + w <= MAP_W && y + h <= MAP_H; }
+
+// Moving platforms leave where they started and one-way ones can be stood
+// in, so neither counts as blocking a spot
+function hitsSolid(map, x, y) {
+  return map.platforms.some(p => !p.path && !p.oneWay && aabb(x, y, PLAYER_W, PLAYER_H, p.x, p.y, p.w, p.h));
+}
+
+// Something to stand on somewhere under a player box at (x, y) — and that
+// stays there
+function hasFloorBelow(map, x, y) {
+  return map.platforms.some(p => !p.path && !p.crumble && p.y >= y + PLAYER_H && p.x < x + PLAYER_W && p.x + p.w > x);
+}
+
+/**
+ * raw: parsed JSON (or anything). Returns { ok:true, map } or
+ * { ok:false, errors:[string] } — errors name the offending entry.
+ */
+function validateMap(raw, { minSpawns = 4 } = {}) {
+  const errors = [];
+  const err = msg => { if (errors.length < 20) errors.push(msg); };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok:false, errors:['Map must be a JSON object'] };
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name || name.length > 32) err('name must be 1–32 characters');
+  const theme = raw.theme ?? 'plain';
+  if (!MAP_THEMES.includes(theme)) err(`theme must be one of ${MAP_THEMES.join(', ')}`);
+  for (const k of ['bgTop', 'bgBottom']) if (!HEX_COLOR.test(raw[k] ?? '')) err(`${k} must be a #rrggbb color`);
+
+  const list = (key, min) => {
+    const arr = raw[key];
+    if (arr === undefined && !min) return [];
+    if (!Array.isArray(arr)) { err(`${key} must be an array`); return []; }
+    if (arr.length < min) err(`${key} needs at least ${min}`);
+    if (arr.length > LIMITS[key]) { err(`${key}: at most ${LIMITS[key]}`); return []; }
+    return arr;
+  };
+  const nums = (key, i, o, fields) => {
+    if (!o || typeof o !== 'object') { err(`${key}[${i}] must be an object`); return false; }
+    const bad = fields.filter(f => !isNum(o[f]));
+    if (bad.length) err(`${key}[${i}]: ${bad.join(', ')} must be numbers`);
+    return !bad.length;
+  };
+
+  const map = { name, theme, bgTop:raw.bgTop, bgBottom:raw.bgBottom, platforms:[], bouncePads:[], teleporters:[], powerups:[], spawns:[] };
+
+  list('platforms', 1).forEach((p, i) => {
+    if (!nums('platforms', i, p, ['x', 'y', 'w', 'h'])) return;
+    if (p.w <= 0 || p.h <= 0) return err(`platforms[${i}]: w and h must be positive`);
+    if (!inBounds(p.x, p.y, p.w, p.h)) return err(`platforms[${i}] is outside the ${MAP_W}×${MAP_H} map`);
+    if (!HEX_COLOR.test(p.color ?? '')) return err(`platforms[${i}]: color must be #rrggbb`);
+    const plat = { x:p.x, y:p.y, w:p.w, h:p.h, color:p.color };
+    for (const flag of ['ground', 'crumble', 'ice', 'oneWay']) if (p[flag]) plat[flag] = true;
+    if (p.path !== undefined) {
+      if (!Array.isArray(p.path) || !p.path.length || p.path.length > PATH_POINTS) return err(`platforms[${i}]: path must have 1–${PATH_POINTS} points`);
+      if (!p.path.every(pt => pt && isNum(pt.x) && isNum(pt.y))) return err(`platforms[${i}]: path points need numeric x and y`);
+      if (!p.path.every(pt => inBounds(pt.x, pt.y, p.w, p.h))) return err(`platforms[${i}]: path leaves the map`);
+      if (!isNum(p.speed) || p.speed < PATH_SPEED[0] || p.speed > PATH_SPEED[1]) return err(`platforms[${i}]: speed must be ${PATH_SPEED[0]}–${PATH_SPEED[1]}`);
+      plat.path = p.path.map(pt => ({ x:pt.x, y:pt.y }));
+      plat.speed = p.speed;
+    }
+    map.platforms.push(plat);
+  });
+
+  list('bouncePads', 0).forEach((b, i) => {
+    if (!nums('bouncePads', i, b, ['x', 'y', 'w', 'h'])) return;
+    if (b.w <= 0 || b.h <= 0 || !inBounds(b.x, b.y, b.w, b.h)) return err(`bouncePads[${i}] is outside the map`);
+    map.bouncePads.push({ x:b.x, y:b.y, w:b.w, h:b.h });
+  });
+
+  // Spawns and teleport landings are player boxes: in the map, clear of
+  // solids, with ground somewhere underneath so nobody starts in a pit.
+  list('teleporters', 0).forEach((t, i) => {
+    if (!nums('teleporters', i, t, ['x', 'y', 'r', 'targetX', 'targetY'])) return;
+    if (t.r < 8 || t.r > 60) return err(`teleporters[${i}]: r must be 8–60`);
+    if (!inBounds(t.x - t.r, t.y - t.r, t.r * 2, t.r * 2)) return err(`teleporters[${i}] is outside the map`);
+    const lx = t.targetX - PLAYER_W / 2, ly = t.targetY - PLAYER_H;
+    if (!inBounds(lx, ly, PLAYER_W, PLAYER_H)) return err(`teleporters[${i}]: target is outside the map`);
+    if (hitsSolid(map, lx, ly))      return err(`teleporters[${i}]: target is inside a platform`);
+    if (!hasFloorBelow(map, lx, ly)) return err(`teleporters[${i}]: target has no floor below it`);
+    map.teleporters.push({ x:t.x, y:t.y, r:t.r, targetX:t.targetX, targetY:t.targetY });
+  });
+
+  // Power-up spots: the centre of the pickup, somewhere a player can reach
+  list('powerups', 0).forEach((s, i) => {
+    if (!nums('powerups', i, s, ['x', 'y'])) return;
+    if (!inBounds(s.x - PLAYER_W / 2, s.y - PLAYER_H / 2, PLAYER_W, PLAYER_H)) return err(`powerups[${i}] is outside the map`);
+    if (hitsSolid(map, s.x - PLAYER_W / 2, s.y - PLAYER_H / 2)) return err(`powerups[${i}] is inside a platform`);
+    map.powerups.push({ x:s.x, y:s.y });
+  });
+
+  list('spawns', minSpawns).forEach((s, i) => {
+    if (!nums('spawns', i, s, ['x', 'y'])) return;
+    if (!inBounds(s.x, s.y, PLAYER_W, PLAYER_H)) return err(`spawns[${i}] is outside the map`);
+    if (hitsSolid(map, s.x, s.y))      return err(`spawns[${i}] is inside a platform`);
+    if (!hasFloorBelow(map, s.x, s.y)) return err(`spawns[${i}] has no floor below it`);
+    map.spawns.push({ x:s.x, y:s.y });
+  });
+
+  return errors.length ? { ok:false, errors } : { ok:true, map };
+}
+
+// Parse + validate an uploaded map (JSON text or an already-parsed object)
+function parseMap(input, opts) {
+  let raw = input;
+  if (typeof input === 'string') {
+    if (Buffer.byteLength(input) > MAX_MAP_BYTES) return { ok:false, errors:[`Map is larger than ${MAX_MAP_BYTES / 1024}KB`] };
+    try { raw = JSON.parse(input); } catch (e) { return { ok:false, errors:['Not valid JSON: ' + e.message] }; }
+  }
+  return validateMap(raw, opts);
+}
+
+// Built-in maps must be valid — a broken file fails startup, not a round
+function loadMaps(dir = MAP_DIR, opts) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  const maps = files.map(f => {
+    const res = parseMap(fs.readFileSync(path.join(dir, f), 'utf8'), opts);
+    if (!res.ok) throw new Error(`Invalid map ${f}: ${res.errors.join('; ')}`);
+    return res.map;
+  });
+  if (!maps.length) throw new Error(`No maps found in ${dir}`);
+  return maps;
+}
+
+module.exports = { MAP_DIR, MAP_THEMES, MAX_MAP_BYTES, validateMap, parseMap, loadMaps };
@@ -0,0 +1,44 @@
+/**
+ * MULTIPLAYER TAG — Quick Play Matchmaking
+ *
+ * Quick Play seats a player in an open public lobby, or opens a new one when
+ * none fits. Fuller lobbies come first, so rooms fill up and start (public
+ * lobbies start themselves once full) instead of spreading players thin.
+ *
+ * Skill is a profile's points per round (lib/scoring.js round points). Guests
+ * and players with fewer than SKILL_MIN_ROUNDS rounds have no rating and fit
+ * anywhere. A lobby more than SKILL_BAND away from the player's rating is only
+ * picked when no closer one is open.
+ */
+
+const SKILL_MIN_ROUNDS = 3;
+const SKILL_BAND       = 25;
+
+// Lifetime stats (lib/profiles.js) → rating, or null while unrated
+function skillRating(stats) {
+  if (!stats || !(stats.roundsPlayed >= SKILL_MIN_ROUNDS)) return null;
+  return stats.points / stats.roundsPlayed;
+}
+
+// A lobby's rating: the mean of its rated players', or null if none are
+function lobbyRating(ratings) {
+  const rated = ratings.filter(r => r !== null);
+  return rated.length ? rated.reduce((a, b) => a + b, 0) / rated.length : null;
+}
+
+/**
+ * Best lobby for a player with rating `skill` (null = unrated).
+ * lobbies: [{ code, open, skill }] — open is the number of free seats,
+ * skill the lobby's rating. Lobbies without a free seat are skipped; ties
+ * keep the given order (oldest room first). → a code, or null.
+ */
+function pickLobby(lobbies, skill) {
+  const ranked = lobbies.filter(l => l.open > 0).map(l => {
+    const gap = skill === null || l.skill === null ? 0 : Math.abs(skill - l.skill);
+    return { code:l.code, far:gap > SKILL_BAND ? 1 : 0, open:l.open, gap };
+  });
+  ranked.sort((a, b) => a.far - b.far || a.open - b.open || a.gap - b.gap);
+  return ranked.length ? ranked[0].code : null;
+}
+
+module.exports = { SKILL_MIN_ROUNDS, SKILL_BAND, skillRating, lobbyRating, pickLobby };
@@ -0,0 +1,91 @@
+/**
+ * MULTIPLAYER TAG — Server Metrics
+ *
+ * Running counters the server updates as it goes (ticks, late ticks, bytes
+ * out), and Prometheus text-format rendering for /metrics. Gauges such as
+ * room and player counts are read from the live rooms when scraped.
+ *
+ *   tickMs       the last TICK_WINDOW tick durations, for percentiles
+ *   missedTicks  ticks the interval timer fired too late to run on time
+ *   rejected     socket events turned away or flagged, by kind
+ *   bytesOut     bytes written to clients; a ring of per-second totals over
+ *                RATE_WINDOW_S gives the recent bytes/second
+ */
+
+const TICK_WINDOW   = 3000;   // ~50s of one room at 60Hz
+const RATE_WINDOW_S = 10;
+
+function newMetrics(now = Date.now()) {
+  return {
+    startedAt:now, ticks:0, tickSumMs:0, missedTicks:0, tickMs:[], tickNext:0, rejected:{},
+    bytesOut:0, perSecond:new Array(RATE_WINDOW_S).fill(0), second:Math.floor(now / 1000),
+  };
+}
+
+function recordTick(m, ms) {
+  m.ticks++; m.tickSumMs += ms;
+  if (m.tickMs.length < TICK_WINDOW) m.tickMs.push(ms);
+  else m.tickMs[m.tickNext] = ms;
+  m.tickNext = (m.tickNext + 1) % TICK_WINDOW;
+}
+
+function recordMissed(m, n) {
+  m.missedTicks += n;
+}
+
+// Rejected / suspicious socket events by kind (see logEvent in server.js)
+function recordRejected(m, kind) {
+  m.rejected[kind] = (m.rejected[kind] || 0) + 1;
+}
+
+// Rolls the per-second ring forward to `now`, zeroing seconds that passed
+function advance(m, now) {
+  const sec = Math.floor(now / 1000);
+  for (let s = m.second + 1; s <= sec && s - m.second <= RATE_WINDOW_S; s++) m.perSecond[s % RATE_WINDOW_S] = 0;
+  if (sec > m.second) m.second = sec;
+}
+
+function recordBytesOut(m, n, now = Date.now()) {
+  advance(m, now);
+  m.bytesOut += n;
+  m.perSecond[m.second % RATE_WINDOW_S] += n;
+}
+
+// Average over the last RATE_WINDOW_S whole seconds (the current one is
+// still filling up)
+function bytesOutPerSecond(m, now = Date.now()) {
+  advance(m, now);
+  let sum = 0;
+  for (let i = 1; i <= RATE_WINDOW_S - 1; i++) sum += m.perSecond[(m.second - i + RATE_WINDOW_S) % RATE_WINDOW_S];
+  return sum / (RATE_WINDOW_S - 1);
+}
+
+// Nearest-rank percentile of `values` (p in 0–1); 0 for none
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Prometheus text exposition. families: [{ name, help, type, samples }] with
+ * samples [{ labels?, value }] — or just a number for one unlabelled sample.
+ */
+function formatMetrics(families) {
+  const out = [];
+  for (const { name, help, type, samples } of families) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const s of typeof samples === 'number' ? [{ value:samples }] : samples) {
+      const labels = Object.entries(s.labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      out.push(`${s.name || name}${labels ? `{${labels}}` : ''} ${Number.isFinite(s.value) ? s.value : 0}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  TICK_WINDOW, RATE_WINDOW_S,
+  newMetrics, recordTick, recordMissed, recordRejected, recordBytesOut, bytesOutPerSecond, percentile, formatMetrics,
+};
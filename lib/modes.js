@@ -0,0 +1,230 @@
+/**
+ * MULTIPLAYER TAG — Game Modes
+ *
+ * Each mode owns role assignment, what a contact between two players means,
+ * per-tick rules, win conditions and the results payload. server.js detects
+ * contacts (with lag compensation) and drives the mode; modes never touch
+ * sockets — they announce events through ctx.emit(event, data).
+ *
+ * Mode interface:
+ *   start(room, ctx)                   assign roles at round start
+ *   contact(room, a, b)                → kind string if `a` touching `b` does something
+ *   onContact(room, a, b, kind, ctx, lagComp)
+ *   tick(room, ctx)                    per-tick rules (fuse timers, ...)
+ *   checkEnd(room)                     → end reason, or null to keep playing
+ *   results(room, reason)              → end screen rows, best first
+ *   hud(room)                          → small object sent as `modeUpdate` when it changes
+ *   onPlayerRemoved(room, player, ctx) a player left mid-round
+ */
+const { TICK_RATE } = require('../public/shared');
+
+const TAG_COOLDOWN = TICK_RATE * 2.5;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+// Draws come from room.rngState (mulberry32), so a recorded round replays
+// with the same picks and fuses
+function random(room) {
+  let t = room.rngState = (room.rngState + 0x6D2B79F5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomOf(room, arr) { return arr[Math.floor(random(room) * arr.length)]; }
+
+function alive(room) { return [...room.players.values()].filter(p => !p.eliminated); }
+
+// Per-round role/stat fields every mode relies on
+function clearRoles(p) {
+  p.isIt = false; p.frozen = false; p.eliminated = false;
+  p.timesTagged = 0; p.tagsMade = 0; p.rescues = 0; p.outOrder = 0;
+}
+
+// Single-"it" modes hand the role to a random remaining player when it leaves
+function reassignIt(room, player) {
+  if (room.itPlayerId !== player.id) return;
+  const rest = alive(room);
+  room.itPlayerId = rest.length ? randomOf(room, rest).id : null;
+  if (room.itPlayerId) room.players.get(room.itPlayerId).isIt = true;
+}
+
+function baseResult(p) {
+  return { id:p.id, name:p.name, color:p.color, isIt:p.isIt, timesTagged:p.timesTagged, tagsMade:p.tagsMade };
+}
+
+function ranked(rows) {
+  return rows.map((r, i) => ({ ...r, place:i + 1 }));
+}
+
+function tagEvent(kind, a, b, lagComp, extra) {
+  return { kind, taggerId:a.id, targetId:b.id, targetName:b.name, lagComp, ...extra };
+}
+
+// ─── Classic: one "it", tag to pass it on, whoever is it at the end loses ────
+const classic = {
+  id:'classic', name:'Classic',
+  start(room) {
+    const it = randomOf(room, [...room.players.values()]);
+    it.isIt = true; room.itPlayerId = it.id;
+  },
+  contact(room, a, b) {
+    return a.isIt && !b.isIt && a.tagCooldown === 0 && b.tagCooldown === 0 ? 'tag' : null;
+  },
+  onContact(room, a, b, kind, ctx, lagComp) {
+    a.isIt = false; a.tagCooldown = TAG_COOLDOWN; a.tagsMade++;
+    b.isIt = true;  b.tagCooldown = 0; b.timesTagged++;
+    room.itPlayerId = b.id;
+    ctx.emit('tagged', tagEvent(kind, a, b, lagComp, { newItId:b.id, oldItId:a.id, newItName:b.name }));
+  },
+  tick() {},
+  checkEnd() { return null; },
+  results(room) {
+    return ranked([...room.players.values()].map(p => ({ ...baseResult(p), won:!p.isIt }))
+      .sort((a, b) => (b.won ? 1 : 0) - (a.won ? 1 : 0) || a.timesTagged - b.timesTagged));
+  },
+  hud() { return {}; },
+  onPlayerRemoved(room, player) { reassignIt(room, player); },
+};
+
+// ─── Freeze tag: "it" freezes runners, runners thaw each other by touch ──────
+const freeze = {
+  id:'freeze', name:'Freeze Tag',
+  start: classic.start,
+  contact(room, a, b) {
+    if (a.isIt && !b.isIt && !b.frozen && a.tagCooldown === 0 && b.tagCooldown === 0) return 'freeze';
+    if (!a.isIt && !a.frozen && !b.isIt && b.frozen) return 'rescue';
+    return null;
+  },
+  onContact(room, a, b, kind, ctx, lagComp) {
+    if (kind === 'freeze') {
+      b.frozen = true; b.timesTagged++; a.tagsMade++;
+    } else {
+      // Brief immunity so the tagger can't re-freeze them on the spot
+      b.frozen = false; b.tagCooldown = TAG_COOLDOWN; a.rescues++;
+    }
+    ctx.emit('tagged', tagEvent(kind, a, b, lagComp));
+  },
+  tick() {},
+  checkEnd(room) {
+    const runners = [...room.players.values()].filter(p => !p.isIt);
+    return runners.length && runners.every(p => p.frozen) ? 'all_frozen' : null;
+  },
+  results(room, reason) {
+    const itWins = reason === 'all_frozen';
+    return ranked([...room.players.values()].map(p => ({
+      ...baseResult(p), won:p.isIt === itWins, team:p.isIt ? 'it' : 'runners', rescues:p.rescues, frozen:p.frozen,
+    })).sort((a, b) => (b.won ? 1 : 0) - (a.won ? 1 : 0) || (b.tagsMade + b.rescues) - (a.tagsMade + a.rescues)));
+  },
+  hud(room) {
+    const runners = [...room.players.values()].filter(p => !p.isIt);
+    return { frozen:runners.filter(p => p.frozen).length, runners:runners.length };
+  },
+  onPlayerRemoved(room, player) { reassignIt(room, player); },
+};
+
+// ─── Infection: tagged players join the "it" team, last survivor wins ────────
+const infection = {
+  id:'infection', name:'Infection',
+  start(room) {
+    classic.start(room);
+    room.modeState = { infections:0, lastSurvivorId:null };
+  },
+  contact(room, a, b) {
+    return a.isIt && !b.isIt && a.tagCooldown === 0 && b.tagCooldown === 0 ? 'infect' : null;
+  },
+  onContact(room, a, b, kind, ctx, lagComp) {
+    const survivors = [...room.players.values()].filter(p => !p.isIt);
+    if (survivors.length === 1) room.modeState.lastSurvivorId = b.id;
+    // Fresh zombies get a short delay before they can infect anyone
+    b.isIt = true; b.tagCooldown = TAG_COOLDOWN; b.timesTagged++;
+    b.outOrder = ++room.modeState.infections; a.tagsMade++;
+    ctx.emit('tagged', tagEvent(kind, a, b, lagComp));
+  },
+  tick() {},
+  checkEnd(room) {
+    return [...room.players.values()].every(p => p.isIt) ? 'all_infected' : null;
+  },
+  results(room) {
+    const { lastSurvivorId } = room.modeState;
+    // Survivors at timeout win; if everyone fell, the last one standing does.
+    // Patient zero (outOrder 0 but infected) ranks last.
+    const score = p => (!p.isIt ? 1e6 : 0) + (p.isIt && p.outOrder === 0 ? -1 : p.outOrder);
+    return ranked([...room.players.values()].map(p => ({
+      ...baseResult(p), won:lastSurvivorId ? p.id === lastSurvivorId : !p.isIt, infections:p.tagsMade,
+    })).sort((a, b) => score(room.players.get(b.id)) - score(room.players.get(a.id))));
+  },
+  hud(room) {
+    const infected = [...room.players.values()].filter(p => p.isIt).length;
+    return { infected, survivors:room.players.size - infected };
+  },
+  onPlayerRemoved(room) {
+    if (![...room.players.values()].some(p => p.isIt)) {
+      const p = randomOf(room, [...room.players.values()]);
+      if (p) { p.isIt = true; room.itPlayerId = p.id; }
+    }
+  },
+};
+
+// ─── Hot potato: pass the bomb before the fuse runs out ──────────────────────
+const FUSE_MIN_TICKS = TICK_RATE * 12;
+const FUSE_MAX_TICKS = TICK_RATE * 22;
+
+function lightFuse(room) {
+  room.modeState.fuse = FUSE_MIN_TICKS + Math.floor(random(room) * (FUSE_MAX_TICKS - FUSE_MIN_TICKS));
+}
+
+const hotPotato = {
+  id:'hotPotato', name:'Hot Potato',
+  start(room) {
+    classic.start(room);
+    room.modeState = { fuse:0, eliminations:0 };
+    lightFuse(room);
+  },
+  contact(room, a, b) {
+    return a.isIt && !b.eliminated && a.tagCooldown === 0 && b.tagCooldown === 0 ? 'pass' : null;
+  },
+  onContact(room, a, b, kind, ctx, lagComp) {
+    classic.onContact(room, a, b, kind, ctx, lagComp);
+  },
+  tick(room, ctx) {
+    if (--room.modeState.fuse > 0) return;
+    const holder = room.players.get(room.itPlayerId);
+    if (holder) {
+      holder.isIt = false; holder.eliminated = true; holder.outOrder = ++room.modeState.eliminations;
+      ctx.emit('playerEliminated', { playerId:holder.id, name:holder.name });
+    }
+    const rest = alive(room);
+    room.itPlayerId = null;
+    if (rest.length < 2) return;
+    const next = randomOf(room, rest);
+    next.isIt = true; next.tagCooldown = 0; room.itPlayerId = next.id;
+    lightFuse(room);
+    ctx.emit('tagged', { kind:'newPotato', targetId:next.id, targetName:next.name, newItId:next.id, newItName:next.name });
+  },
+  checkEnd(room) { return alive(room).length <= 1 ? 'last_standing' : null; },
+  results(room) {
+    const score = p => (p.eliminated ? p.outOrder : 1e6) - (p.isIt ? 1 : 0);
+    return ranked([...room.players.values()].map(p => ({
+      ...baseResult(p), won:!p.eliminated && !p.isIt, eliminated:p.eliminated, passes:p.tagsMade,
+    })).sort((a, b) => score(room.players.get(b.id)) - score(room.players.get(a.id))));
+  },
+  hud(room) {
+    return { fuse:Math.ceil(room.modeState.fuse / TICK_RATE), alive:alive(room).length };
+  },
+  onPlayerRemoved(room, player, ctx) {
+    if (room.itPlayerId !== player.id) return;
+    // Don't let leaving dodge the bomb for everyone else: hand it on, keep the fuse
+    const rest = alive(room);
+    room.itPlayerId = null;
+    if (!rest.length) return;
+    const next = randomOf(room, rest);
+    next.isIt = true; room.itPlayerId = next.id;
+    ctx.emit('tagged', { kind:'newPotato', targetId:next.id, targetName:next.name, newItId:next.id, newItName:next.name });
+  },
+};
+
+const MODES = { classic, freeze, infection, hotPotato };
+
+function getMode(room) { return MODES[room.mode] || classic; }
+
+module.exports = { MODES, TAG_COOLDOWN, getMode, clearRoles, random, randomOf };
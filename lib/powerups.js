@@ -0,0 +1,101 @@
+/**
+ * MULTIPLAYER TAG — Power-ups
+ *
+ * Maps list power-up spots (map.powerups). Each spot grows a random power-up
+ * POWERUP_FIRST_TICKS into the round, and again POWERUP_RESPAWN_TICKS after
+ * it's picked up. Running into one takes it:
+ *   speed       run SPEED_BOOST× as fast
+ *   doubleJump  one extra jump in mid-air, topped up on every landing
+ *   invisible   nobody else sees you: snapshots to other players and
+ *               spectators keep you where you vanished, and bots ignore you
+ *   shield      the next tag or freeze ray aimed at you is blocked
+ *   freezeRay   the nearest other player is stunned on the spot
+ * Durations and the effects on movement are in public/shared.js, so client
+ * prediction runs them too. The pick of power-up comes from the room's seeded
+ * RNG and everything is announced through ctx.emit, so a recorded round
+ * replays with the same power-ups.
+ *
+ * Events: powerupSpawned { index, kind }
+ *         powerup        { index, kind, playerId, name, targetId?, targetName?, blocked? }
+ *         shieldBlocked  { playerId, name, taggerId }
+ */
+const { TICK_RATE, PLAYER_W, PLAYER_H, STUN_TICKS, startEffect } = require('../public/shared');
+const { randomOf } = require('./modes');
+
+const POWERUP_KINDS         = ['speed', 'doubleJump', 'invisible', 'shield', 'freezeRay'];
+const POWERUP_FIRST_TICKS   = TICK_RATE * 3;
+const POWERUP_RESPAWN_TICKS = TICK_RATE * 10;
+// Player centre within this of a spot's centre picks it up
+const POWERUP_REACH = 26;
+// After a shield blocks a tag, nobody can tag its owner for this long
+const SHIELD_GRACE_TICKS = TICK_RATE;
+
+const centre = p => ({ x:p.x + PLAYER_W / 2, y:p.y + PLAYER_H / 2 });
+const dist   = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Round-start state for the room's spots — all empty
+function newPowerups(map) {
+  return (map.powerups || []).map(s => ({ x:s.x, y:s.y, kind:null, respawnIn:POWERUP_FIRST_TICKS }));
+}
+
+// What clients are told about the spots
+function powerupData(spots) {
+  return (spots || []).map(s => ({ x:s.x, y:s.y, kind:s.kind }));
+}
+
+function shielded(p) { return p.effect === 'shield'; }
+
+function dropShield(p) { p.effect = null; p.effectTicks = 0; }
+
+function nearestOther(room, player) {
+  let best = null, bestD = Infinity;
+  for (const o of room.players.values()) {
+    if (o === player || o.eliminated) continue;
+    const d = dist(centre(o), centre(player));
+    if (d < bestD) { bestD = d; best = o; }
+  }
+  return best;
+}
+
+function pickUp(room, player, index, kind, ctx) {
+  const ev = { index, kind, playerId:player.id, name:player.name };
+  if (kind === 'freezeRay') {
+    const target = nearestOther(room, player);
+    if (target) {
+      Object.assign(ev, { targetId:target.id, targetName:target.name, blocked:shielded(target) });
+      if (ev.blocked) dropShield(target);
+      else target.stunTicks = STUN_TICKS;
+    }
+  } else startEffect(player, kind);
+  ctx.emit('powerup', ev);
+}
+
+// Once per tick, after everyone has moved: spots count down to their next
+// power-up, and the first player (in join order) touching a full one takes it
+function tickPowerups(room, ctx) {
+  room.powerups.forEach((spot, index) => {
+    if (!spot.kind) {
+      if (--spot.respawnIn > 0) return;
+      spot.kind = randomOf(room, POWERUP_KINDS);
+      ctx.emit('powerupSpawned', { index, kind:spot.kind });
+      return;
+    }
+    const player = [...room.players.values()].find(p => !p.eliminated && !p.frozen && dist(centre(p), spot) < POWERUP_REACH);
+    if (!player) return;
+    const { kind } = spot;
+    spot.kind = null; spot.respawnIn = POWERUP_RESPAWN_TICKS;
+    pickUp(room, player, index, kind, ctx);
+  });
+}
+
+// A hostile contact on a shielded player breaks the shield instead of landing
+function blockTag(tagger, target, ctx) {
+  dropShield(target);
+  target.tagCooldown = SHIELD_GRACE_TICKS;
+  ctx.emit('shieldBlocked', { playerId:target.id, name:target.name, taggerId:tagger.id });
+}
+
+module.exports = {
+  POWERUP_KINDS, POWERUP_FIRST_TICKS, POWERUP_RESPAWN_TICKS, POWERUP_REACH, SHIELD_GRACE_TICKS,
+  newPowerups, powerupData, shielded, tickPowerups, blockTag,
+};
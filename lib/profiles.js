@@ -0,0 +1,150 @@
+/**
+ * MULTIPLAYER TAG — Player Profiles & Lifetime Stats
+ *
+ * A profile is a nickname claimed by a device: the first client to play
+ * under a name with its device token owns it, and other devices are turned
+ * away from that name. Clients without a token play as guests and nothing is
+ * recorded for them. Names are matched case-insensitively.
+ *
+ * Profiles live in one JSON file (PROFILE_FILE), loaded at startup and
+ * rewritten shortly after each change. Only a hash of the device token is
+ * stored.
+ *
+ * Lifetime stats, overall and per built-in map:
+ *   gamesPlayed     matches started (overall only)
+ *   roundsPlayed    rounds finished
+ *   roundsSurvived  rounds finished on the winning side
+ *   tagsMade, timesTagged, itSeconds, points (lib/scoring.js round points)
+ */
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const NAME_MAX       = 12;
+const TOKEN_MIN      = 16;
+const TOKEN_MAX      = 128;
+const SAVE_DELAY_MS  = 1000;
+const STAT_KEYS      = ['gamesPlayed', 'roundsPlayed', 'roundsSurvived', 'tagsMade', 'timesTagged', 'itSeconds', 'points'];
+const MAP_STAT_KEYS  = STAT_KEYS.filter(k => k !== 'gamesPlayed');
+const LEADERBOARD_MAX = 100;
+
+const zeroStats = keys => Object.fromEntries(keys.map(k => [k, 0]));
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const nameKey   = name => name.toLowerCase();
+
+// A missing file is an empty store; a corrupt one fails startup rather than
+// being silently overwritten
+function openProfiles(file) {
+  const store = { file, profiles:new Map(), saveTimer:null };
+  if (file && fs.existsSync(file)) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, p] of Object.entries(raw.profiles || {})) store.profiles.set(key, p);
+  }
+  return store;
+}
+
+function saveProfiles(store) {
+  clearTimeout(store.saveTimer); store.saveTimer = null;
+  if (!store.file) return;
+  fs.mkdirSync(path.dirname(store.file), { recursive:true });
+  const tmp = store.file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify({ version:1, profiles:Object.fromEntries(store.profiles) }));
+  fs.renameSync(tmp, store.file);
+}
+
+// Write now if a save is pending (e.g. on shutdown)
+function flushProfiles(store) {
+  if (store.saveTimer) saveProfiles(store);
+}
+
+function scheduleSave(store) {
+  if (store.saveTimer || !store.file) return;
+  store.saveTimer = setTimeout(() => saveProfiles(store), SAVE_DELAY_MS);
+  store.saveTimer.unref?.();
+}
+
+/**
+ * Check a name against its claim before someone plays under it.
+ * → { ok:true, key } (key null for a guest) or { ok:false, error }
+ */
+function claimName(store, name, deviceToken) {
+  const display = String(name).trim().substring(0, NAME_MAX);
+  const key = nameKey(display);
+  const token = typeof deviceToken === 'string' && deviceToken.length >= TOKEN_MIN && deviceToken.length <= TOKEN_MAX ? deviceToken : null;
+  const existing = store.profiles.get(key);
+  if (existing) {
+    if (!token || hashToken(token) !== existing.tokenHash) return { ok:false, error:'That name belongs to another player' };
+    existing.name = display; existing.lastSeen = new Date().toISOString();
+    scheduleSave(store);
+    return { ok:true, key };
+  }
+  if (!token) return { ok:true, key:null };
+  const now = new Date().toISOString();
+  store.profiles.set(key, {
+    name:display, tokenHash:hashToken(token), createdAt:now, lastSeen:now,
+    stats:zeroStats(STAT_KEYS), maps:{},
+  });
+  scheduleSave(store);
+  return { ok:true, key };
+}
+
+// itSeconds comes in tenths; round the sum so float noise isn't saved
+const addStat = (total, n) => Math.round((total + n) * 10) / 10;
+
+/**
+ * Add one finished round to each claimed player's lifetime stats.
+ * entries: [{ key, row }] with row a scored result row (lib/scoring.js);
+ * mapName is null for custom maps, which count only toward the totals.
+ * Returns key → { totals, delta } for the end screen.
+ */
+function recordRound(store, entries, { mapName = null, newGame = false } = {}) {
+  const changes = new Map();
+  for (const { key, row } of entries) {
+    const p = store.profiles.get(key);
+    if (!p) continue;
+    const delta = {
+      gamesPlayed:newGame ? 1 : 0, roundsPlayed:1, roundsSurvived:row.won ? 1 : 0,
+      tagsMade:row.tagsMade || 0, timesTagged:row.timesTagged || 0, itSeconds:row.itSeconds || 0, points:row.points || 0,
+    };
+    for (const k of STAT_KEYS) p.stats[k] = addStat(p.stats[k] || 0, delta[k]);
+    if (mapName) {
+      const m = p.maps[mapName] || (p.maps[mapName] = zeroStats(MAP_STAT_KEYS));
+      for (const k of MAP_STAT_KEYS) m[k] = addStat(m[k], delta[k]);
+    }
+    changes.set(key, { totals:{ ...p.stats }, delta });
+  }
+  if (changes.size) scheduleSave(store);
+  return changes;
+}
+
+// Public view — never the token hash
+function publicProfile(p) {
+  return { name:p.name, createdAt:p.createdAt, lastSeen:p.lastSeen, stats:p.stats, maps:p.maps };
+}
+
+function getProfile(store, name) {
+  const p = store.profiles.get(nameKey(String(name).trim()));
+  return p ? publicProfile(p) : null;
+}
+
+/**
+ * Ranked rows for the global board, or one map's. Players with no rounds
+ * on the board aren't listed. → { sort, rows:[{ place, name, ...stats }] }
+ */
+function leaderboard(store, { mapName = null, sort = 'points', limit = 20 } = {}) {
+  const keys = mapName ? MAP_STAT_KEYS : STAT_KEYS;
+  if (!keys.includes(sort)) sort = 'points';
+  limit = Math.max(1, Math.min(LEADERBOARD_MAX, Math.floor(Number(limit)) || 20));
+  const rows = [];
+  for (const p of store.profiles.values()) {
+    const s = mapName ? p.maps[mapName] : p.stats;
+    if (s && s.roundsPlayed > 0) rows.push({ name:p.name, ...s });
+  }
+  rows.sort((a, b) => b[sort] - a[sort] || b.roundsSurvived - a.roundsSurvived || a.name.localeCompare(b.name));
+  return { sort, rows:rows.slice(0, limit).map((r, i) => ({ place:i + 1, ...r })) };
+}
+
+module.exports = {
+  STAT_KEYS, MAP_STAT_KEYS,
+  openProfiles, flushProfiles, claimName, recordRound, getProfile, leaderboard,
+};
@@ -0,0 +1,44 @@
+/**
+ * MULTIPLAYER TAG — Token-Bucket Rate Limits
+ *
+ * Each socket gets a bucket per event. A bucket holds up to `burst` tokens
+ * and refills at `rate` per second; every event takes one, and an event that
+ * finds the bucket empty is dropped. Bursts (a reconnect, a frame hitch
+ * flushing queued inputs) get through; a sustained flood doesn't.
+ */
+
+function newBucket({ rate, burst }, now = Date.now()) {
+  return { rate, burst, tokens:burst, at:now };
+}
+
+// Tops the bucket up for the time since it was last looked at → tokens in it
+function refill(bucket, now = Date.now()) {
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.at) / 1000 * bucket.rate);
+  bucket.at = now;
+  return bucket.tokens;
+}
+
+// → true if the event may go ahead
+function take(bucket, now = Date.now()) {
+  if (refill(bucket, now) < 1) return false;
+  bucket.tokens--;
+  return true;
+}
+
+/**
+ * Per-socket limiter over a table of { event: { rate, burst } }; events not in
+ * the table use limits.default. `allow(event)` → true if it may go ahead.
+ */
+function newLimiter(limits) {
+  const buckets = new Map();
+  return {
+    allow(event, now = Date.now()) {
+      const key = Object.hasOwn(limits, event) ? event : 'default';
+      let b = buckets.get(key);
+      if (!b) buckets.set(key, b = newBucket(limits[key], now));
+      return take(b, now);
+    },
+  };
+}
+
+module.exports = { newBucket, refill, take, newLimiter };
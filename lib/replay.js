@@ -0,0 +1,154 @@
+/**
+ * MULTIPLAYER TAG — Round Recording & Replay
+ *
+ * Every round is recorded from the moment it starts: the state gameTick
+ * begins from, the command each player had applied on every tick, role
+ * changes and the events the mode announced. Physics (public/shared.js) and
+ * the modes' random draws (seeded by room.rngState) are deterministic, so
+ * feeding the commands back through gameTick plays the same round again.
+ *
+ * Recording JSON (version 1). Slots identify players; init.players maps them.
+ *   format, version, id, room, round, rounds, mode, map, tickRate, roundDuration, recordedAt
+ *   init     { timer, itPlayerId, modeState, rngState, world, powerups, players:[{slot,id,name,color,bot,...state}] }
+ *   inputs   [[tick, slot, bits, rewind]]  written only when it changes; bits
+ *            is left|right<<1|jump<<2, or -1 for a tick with no command (late
+ *            client). rewind = tick − the tick the client was rendering.
+ *   roles    [[tick, slot, flags, tagCooldown]]  flags isIt|frozen<<1|eliminated<<2,
+ *            written when roles change or a tag cooldown is set
+ *   events   [[tick, event, data]]  tagged / playerEliminated / playerLeft, and
+ *            the power-up events (powerupSpawned / powerup / shieldBlocked)
+ *   end      { tick, reason, results }
+ */
+const { TICK_RATE } = require('../public/shared');
+const { getMode } = require('./modes');
+
+const REPLAY_FORMAT  = 'tag-replay';
+const REPLAY_VERSION = 1;
+const NO_COMMAND     = -1;
+
+// Player fields gameTick reads; everything else is per-round stats
+const PLAYER_STATE = [
+  'x', 'y', 'vx', 'vy', 'onGround', 'facingRight', 'isIt', 'frozen', 'eliminated', 'tagCooldown', 'teleportCooldown',
+  'effect', 'effectTicks', 'stunTicks', 'airJumps',
+];
+
+const inputBits = inp => (inp.left ? 1 : 0) | (inp.right ? 2 : 0) | (inp.jump ? 4 : 0);
+const roleFlags = p => (p.isIt ? 1 : 0) | (p.frozen ? 2 : 0) | (p.eliminated ? 4 : 0);
+
+// Call right after the mode has assigned roles, before the first gameTick
+function startRecording(room, map, id) {
+  const players = [...room.players.values()];
+  const data = {
+    format:REPLAY_FORMAT, version:REPLAY_VERSION, id, room:room.code,
+    round:room.match?.round ?? 1, rounds:room.match?.rounds ?? 1,
+    mode:room.mode, map, tickRate:TICK_RATE, roundDuration:room.roundDuration, recordedAt:new Date().toISOString(),
+    init:{
+      timer:room.timer, itPlayerId:room.itPlayerId, modeState:structuredClone(room.modeState), rngState:room.rngState,
+      world:structuredClone(room.world), powerups:structuredClone(room.powerups),
+      players:players.map(p => {
+        const o = { slot:p.slot, id:p.id, name:p.name, color:p.color, bot:p.isBot ? p.bot.difficulty : null };
+        for (const k of PLAYER_STATE) o[k] = p[k];
+        return o;
+      }),
+    },
+    inputs:[], roles:[], events:[], end:null,
+  };
+  // What was last written per slot, so only changes are stored
+  const last = new Map(players.map(p => [p.slot, { input:null, flags:roleFlags(p), cooldown:p.tagCooldown, tick:room.tick }]));
+  return { data, last };
+}
+
+// After gameTick dequeued (or didn't) this player's command for the tick
+function recordInput(rec, tick, player, inp, applied) {
+  const last = rec.last.get(player.slot);
+  if (!last) return;
+  const bits = applied ? inputBits(inp) : NO_COMMAND;
+  const rewind = applied ? tick - inp.viewTick : 0;
+  if (last.input && last.input[0] === bits && last.input[1] === rewind) return;
+  last.input = [bits, rewind];
+  rec.data.inputs.push([tick, player.slot, bits, rewind]);
+}
+
+// Once per tick after the mode has run, and after a player leaves
+function recordRoles(rec, tick, players) {
+  for (const p of players) {
+    const last = rec.last.get(p.slot);
+    if (!last) continue;
+    const flags = roleFlags(p);
+    // Cooldowns tick down by one each tick; anything else is the mode setting one
+    const expected = Math.max(0, last.cooldown - (tick - last.tick));
+    if (flags !== last.flags || p.tagCooldown !== expected) rec.data.roles.push([tick, p.slot, flags, p.tagCooldown]);
+    last.flags = flags; last.cooldown = p.tagCooldown; last.tick = tick;
+  }
+}
+
+function recordEvent(rec, tick, event, data) {
+  rec.data.events.push([tick, event, data]);
+}
+
+function recordLeave(rec, tick, player) {
+  recordEvent(rec, tick, 'playerLeft', { playerId:player.id, name:player.name });
+  rec.last.delete(player.slot);
+}
+
+function finishRecording(rec, tick, reason, results) {
+  rec.data.end = { tick, reason, results };
+  return rec.data;
+}
+
+/**
+ * Rebuild the room a recording starts from, ready for gameTick. Players come
+ * back without bot brains — their recorded commands drive them. `next()`
+ * queues the commands for the coming tick (call it before each gameTick) and
+ * returns false once the recording has run out.
+ */
+function playback(data, newInputState) {
+  const room = {
+    code:data.room, status:'playing', mode:data.mode, modeState:structuredClone(data.init.modeState), modeHudKey:'',
+    mapIndex:-1 /* CUSTOM_MAP */, customMap:data.map, roundDuration:data.roundDuration, timer:data.init.timer,
+    itPlayerId:data.init.itPlayerId, rngState:data.init.rngState, tick:0,
+    world:structuredClone(data.init.world), worldKey:'', powerups:structuredClone(data.init.powerups),
+    players:new Map(), inputs:new Map(), spectators:new Map(), rosterVersion:0,
+  };
+  const bySlot = new Map();
+  for (const o of data.init.players) {
+    const p = { id:o.id, name:o.name, color:o.color, slot:o.slot, posHistory:[], bot:null, isBot:false,
+                timesTagged:0, tagsMade:0, rescues:0, outOrder:0 };
+    for (const k of PLAYER_STATE) p[k] = o[k];
+    room.players.set(p.id, p); room.inputs.set(p.id, newInputState());
+    bySlot.set(o.slot, p);
+  }
+  const held = new Map();   // slot → [bits, rewind] in effect
+  let i = 0, e = 0, seq = 0;
+  const endTick = data.end ? data.end.tick : Infinity;
+
+  function next() {
+    const tick = room.tick + 1;
+    if (tick > endTick) return false;
+    // Leaves are recorded at the tick they happened after
+    for (; e < data.events.length && data.events[e][0] < tick; e++) {
+      const [, event, ev] = data.events[e];
+      const p = event === 'playerLeft' && room.players.get(ev.playerId);
+      if (!p) continue;
+      room.players.delete(p.id); room.inputs.delete(p.id);
+      getMode(room).onPlayerRemoved(room, p, { emit() {} });
+    }
+    for (; i < data.inputs.length && data.inputs[i][0] === tick; i++) {
+      const [, slot, bits, rewind] = data.inputs[i];
+      held.set(slot, [bits, rewind]);
+    }
+    seq++;
+    for (const [slot, [bits, rewind]] of held) {
+      const p = bySlot.get(slot);
+      if (bits === NO_COMMAND || !room.players.has(p.id)) continue;
+      room.inputs.get(p.id).queue.push({ seq, tick, view:tick - rewind, left:!!(bits & 1), right:!!(bits & 2), jump:!!(bits & 4) });
+    }
+    return true;
+  }
+  return { room, next };
+}
+
+module.exports = {
+  REPLAY_FORMAT, REPLAY_VERSION,
+  startRecording, recordInput, recordRoles, recordEvent, recordLeave, finishRecording, playback,
+};
@@ -0,0 +1,86 @@
+/**
+ * MULTIPLAYER TAG — Scoring & Matches
+ *
+ * Per-round stats are accumulated on each player every tick (time as "it",
+ * time free, longest free streak, distance run). At round end the mode's
+ * result rows are decorated with those stats and a points total, and the
+ * points roll up into the match standings.
+ *
+ * Round points: one per second free + TAG_POINTS per tag made + WIN_BONUS
+ * for finishing the round on the winning side. "Free" means not it, not
+ * frozen and not eliminated.
+ */
+const { TICK_RATE } = require('../public/shared');
+
+const TAG_POINTS   = 5;
+const WIN_BONUS    = 25;
+// Players are 36px tall; call that 1.8m
+const PX_PER_METRE = 20;
+// Anything longer in one tick is a teleport or respawn, not running
+const MAX_STEP_PX  = 100;
+
+const MATCH_ROUNDS = [1, 3, 5];
+
+function resetRoundStats(p) {
+  p.stats = { itTicks:0, freeTicks:0, streakTicks:0, bestStreakTicks:0, distance:0, lastX:p.x, lastY:p.y };
+}
+
+function trackTick(p) {
+  const s = p.stats;
+  if (!s) return;
+  const step = Math.hypot(p.x - s.lastX, p.y - s.lastY);
+  if (step < MAX_STEP_PX) s.distance += step;
+  s.lastX = p.x; s.lastY = p.y;
+  if (p.eliminated || p.frozen) { s.streakTicks = 0; return; }
+  if (p.isIt) { s.itTicks++; s.streakTicks = 0; return; }
+  s.freeTicks++;
+  if (++s.streakTicks > s.bestStreakTicks) s.bestStreakTicks = s.streakTicks;
+}
+
+function seconds(ticks) { return Math.round(ticks / TICK_RATE * 10) / 10; }
+
+// Mode result rows → same rows with stats and round points added
+function scoreRound(room, rows) {
+  return rows.map(r => {
+    const s = room.players.get(r.id)?.stats || { itTicks:0, freeTicks:0, bestStreakTicks:0, distance:0 };
+    const tagsMade = r.tagsMade || 0;
+    return {
+      ...r, tagsMade,
+      itSeconds:seconds(s.itTicks), freeSeconds:seconds(s.freeTicks), longestStreak:seconds(s.bestStreakTicks),
+      distance:Math.round(s.distance / PX_PER_METRE),
+      points:Math.floor(s.freeTicks / TICK_RATE) + TAG_POINTS * tagsMade + (r.won ? WIN_BONUS : 0),
+    };
+  });
+}
+
+function newMatch(rounds) {
+  return { round:1, rounds, totals:new Map() };
+}
+
+// Rows keep the player's last known name/color so leavers stay on the board
+function addRound(match, rows) {
+  for (const r of rows) {
+    let t = match.totals.get(r.id);
+    if (!t) {
+      t = { id:r.id, points:0, wins:0, roundsPlayed:0, itSeconds:0, freeSeconds:0, tagsMade:0, timesTagged:0, longestStreak:0, distance:0 };
+      match.totals.set(r.id, t);
+    }
+    t.name = r.name; t.color = r.color;
+    t.points += r.points; t.wins += r.won ? 1 : 0; t.roundsPlayed++;
+    t.itSeconds   = Math.round((t.itSeconds + r.itSeconds) * 10) / 10;
+    t.freeSeconds = Math.round((t.freeSeconds + r.freeSeconds) * 10) / 10;
+    t.tagsMade += r.tagsMade; t.timesTagged += r.timesTagged || 0; t.distance += r.distance;
+    t.longestStreak = Math.max(t.longestStreak, r.longestStreak);
+  }
+}
+
+function standings(match) {
+  return [...match.totals.values()]
+    .sort((a, b) => b.points - a.points || b.wins - a.wins || a.itSeconds - b.itSeconds)
+    .map((t, i) => ({ ...t, place:i + 1 }));
+}
+
+module.exports = {
+  TAG_POINTS, WIN_BONUS, MATCH_ROUNDS,
+  resetRoundStats, trackTick, scoreRound, newMatch, addRound, standings,
+};
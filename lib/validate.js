@@ -0,0 +1,66 @@
+/**
+ * MULTIPLAYER TAG — Socket Payload Validation
+ *
+ * Small schema checkers for what clients send. A schema is a function
+ * value → { ok:true, value } or { ok:false, error }, built from the helpers
+ * below. Objects keep only the fields their schema lists, so handlers never
+ * see anything they didn't ask for; values are returned as-is otherwise
+ * (strings are trimmed when asked to).
+ *
+ *   const schema = object({ name:string({ max:12, trim:true }), rounds:int({ min:1, max:5, optional:true }) });
+ *   schema({ name:' Ann ', x:1 })  → { ok:true, value:{ name:'Ann' } }
+ */
+
+const ok   = value => ({ ok:true, value });
+const fail = error => ({ ok:false, error });
+
+// Wraps a checker so undefined passes when the field is optional
+function field(opts, check) {
+  return (v, at = 'value') => {
+    if (v === undefined || v === null) return opts.optional ? ok(undefined) : fail(`${at} is required`);
+    return check(v, at);
+  };
+}
+
+function string({ min = 0, max = Infinity, trim = false, optional = false } = {}) {
+  return field({ optional }, (v, at) => {
+    if (typeof v !== 'string') return fail(`${at} must be text`);
+    if (trim) v = v.trim();
+    if (v.length < min) return fail(min > 1 ? `${at} must be at least ${min} characters` : `${at} is required`);
+    if (v.length > max) return fail(`${at} must be at most ${max} characters`);
+    return ok(v);
+  });
+}
+
+function int({ min = -Infinity, max = Infinity, optional = false } = {}) {
+  return field({ optional }, (v, at) => {
+    if (!Number.isInteger(v)) return fail(`${at} must be a whole number`);
+    if (v < min || v > max) return fail(`${at} must be between ${min} and ${max}`);
+    return ok(v);
+  });
+}
+
+function bool({ optional = false } = {}) {
+  return field({ optional }, (v, at) => typeof v === 'boolean' ? ok(v) : fail(`${at} must be true or false`));
+}
+
+function oneOf(values, { optional = false } = {}) {
+  return field({ optional }, (v, at) => values.includes(v) ? ok(v) : fail(`${at} must be one of ${values.join(', ')}`));
+}
+
+// A missing optional object is {} so handlers can destructure it
+function object(fields, { optional = false } = {}) {
+  return (v, at = 'payload') => {
+    if ((v === undefined || v === null) && optional) v = {};
+    if (typeof v !== 'object' || v === null || Array.isArray(v)) return fail(`${at} must be an object`);
+    const out = {};
+    for (const [k, check] of Object.entries(fields)) {
+      const r = check(Object.hasOwn(v, k) ? v[k] : undefined, k);
+      if (!r.ok) return r;
+      if (r.value !== undefined) out[k] = r.value;
+    }
+    return ok(out);
+  };
+}
+
+module.exports = { string, int, bool, oneOf, object };
@@ -0,0 +1,206 @@
+/**
+ * MULTIPLAYER TAG — Binary Snapshot Protocol
+ *
+ * Shared by server.js and the browser (exposes `TagProtocol`), same loading
+ * scheme as shared.js. Snapshots are quantized to integers, written with a
+ * DataView, and delta-encoded against the last snapshot the client acked.
+ *
+ * Layout (little-endian):
+ *   u8  kind            KIND_FULL | KIND_DELTA
+ *   u32 id              server tick the snapshot was taken at
+ *   u32 baseId          snapshot this is a delta against (0 for full)
+ *   u16 timer           seconds left in the round
+ *   u8  itSlot          slot of the "it" player, NO_SLOT if none
+ *   u8  selfSlot        slot of the receiving player
+ *   u16 presentMask     bit per slot that exists in this snapshot
+ *   u8  changedCount
+ *   changedCount × { u8 slot, u8 groupMask, <fields of each group in mask> }
+ *
+ * Players are addressed by slot; the slot → player id mapping arrives
+ * separately as a JSON `roster` event.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TagProtocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// 1 = JSON `gameState` events, 2 = binary `snap` events
+const PROTOCOL_JSON   = 1;
+const PROTOCOL_BINARY = 2;
+const PROTOCOL_VERSION = PROTOCOL_BINARY;
+
+const KIND_FULL  = 0;
+const KIND_DELTA = 1;
+const NO_SLOT    = 255;
+const MAX_SLOTS  = 16;
+
+const FLAG_ON_GROUND    = 1;
+const FLAG_IS_IT        = 2;
+const FLAG_FACING_RIGHT = 4;
+const FLAG_FROZEN       = 8;
+const FLAG_ELIMINATED   = 16;
+const FLAG_STUNNED      = 32;
+
+// Power-up effect a player has (shared.js startEffect), by index on the wire
+const EFFECTS = [null, 'speed', 'doubleJump', 'invisible', 'shield'];
+
+// Field groups: a group is re-sent whole when any of its fields changed.
+// [name, type, scale] — value on the wire is Math.round(value * scale).
+const GROUPS = [
+  { bit:0x01, fields:[['x','i16',10], ['y','i16',10]] },
+  { bit:0x02, fields:[['vx','i16',1], ['vy','i16',1]] },
+  { bit:0x04, fields:[['flags','u8',1]] },
+  { bit:0x08, fields:[['tagCooldown','u8',1], ['teleportCooldown','u8',1]] },
+  // Input ack for client reconciliation, plus the effect timers prediction
+  // runs down — only meaningful for the receiver
+  { bit:0x10, fields:[['seq','u32',1], ['jumpBuffer','u8',1], ['effectTicks','u16',1], ['stunTicks','u8',1], ['airJumps','u8',1]], selfOnly:true },
+  { bit:0x20, fields:[['effect','u8',1]] },
+];
+const ALL_GROUPS = GROUPS.reduce((m, g) => m | g.bit, 0);
+
+const SIZES  = { u8:1, i16:2, u16:2, u32:4 };
+const RANGES = { u8:[0, 0xFF], i16:[-0x8000, 0x7FFF], u16:[0, 0xFFFF], u32:[0, 0xFFFFFFFF] };
+
+function clampInt(v, type) {
+  const [lo, hi] = RANGES[type];
+  return Math.max(lo, Math.min(hi, Math.round(v) || 0));
+}
+
+// Player object (server shape) → integer record as it goes on the wire
+function quantizePlayer(p, inp) {
+  const q = {};
+  const src = {
+    ...p, seq:inp ? inp.lastSeq : 0, jumpBuffer:inp ? inp.jumpBuffer : 0, effect:Math.max(0, EFFECTS.indexOf(p.effect ?? null)),
+    flags:(p.onGround ? FLAG_ON_GROUND : 0) | (p.isIt ? FLAG_IS_IT : 0) | (p.facingRight ? FLAG_FACING_RIGHT : 0)
+         | (p.frozen ? FLAG_FROZEN : 0) | (p.eliminated ? FLAG_ELIMINATED : 0) | (p.stunTicks > 0 ? FLAG_STUNNED : 0),
+  };
+  for (const g of GROUPS) for (const [name, type, scale] of g.fields) q[name] = clampInt(src[name] * scale, type);
+  return q;
+}
+
+// Integer record → plain values in the same shape as a JSON gameState player
+function dequantizePlayer(q) {
+  const p = {};
+  for (const g of GROUPS) for (const [name, , scale] of g.fields) p[name] = (q[name] ?? 0) / scale;
+  p.onGround    = !!(q.flags & FLAG_ON_GROUND);
+  p.isIt        = !!(q.flags & FLAG_IS_IT);
+  p.facingRight = !!(q.flags & FLAG_FACING_RIGHT);
+  p.frozen      = !!(q.flags & FLAG_FROZEN);
+  p.eliminated  = !!(q.flags & FLAG_ELIMINATED);
+  p.stunned     = !!(q.flags & FLAG_STUNNED);
+  p.effect      = EFFECTS[q.effect] ?? null;
+  delete p.flags;
+  return p;
+}
+
+function changedGroups(q, baseQ, isSelf) {
+  let mask = 0;
+  for (const g of GROUPS) {
+    if (g.selfOnly && !isSelf) continue;
+    if (!baseQ || g.fields.some(([name]) => q[name] !== baseQ[name])) mask |= g.bit;
+  }
+  return mask;
+}
+
+/**
+ * snap: { id, timer, itSlot, selfSlot, players: Map<slot, quantized> }
+ * base: a previously sent snap to delta against, or null for a full snapshot
+ */
+function encodeSnapshot(snap, base) {
+  const changes = [];
+  let presentMask = 0, size = 16;
+  for (const [slot, q] of snap.players) {
+    presentMask |= 1 << slot;
+    const mask = changedGroups(q, base ? base.players.get(slot) : null, slot === snap.selfSlot);
+    if (!mask) continue;
+    changes.push([slot, mask, q]);
+    size += 2;
+    for (const g of GROUPS) if (mask & g.bit) for (const [, type] of g.fields) size += SIZES[type];
+  }
+
+  const buf = new ArrayBuffer(size);
+  const dv  = new DataView(buf);
+  let o = 0;
+  dv.setUint8(o, base ? KIND_DELTA : KIND_FULL); o += 1;
+  dv.setUint32(o, snap.id, true); o += 4;
+  dv.setUint32(o, base ? base.id : 0, true); o += 4;
+  dv.setUint16(o, clampInt(snap.timer, 'u16'), true); o += 2;
+  dv.setUint8(o, snap.itSlot); o += 1;
+  dv.setUint8(o, snap.selfSlot); o += 1;
+  dv.setUint16(o, presentMask, true); o += 2;
+  dv.setUint8(o, changes.length); o += 1;
+  for (const [slot, mask, q] of changes) {
+    dv.setUint8(o, slot); o += 1;
+    dv.setUint8(o, mask); o += 1;
+    for (const g of GROUPS) {
+      if (!(mask & g.bit)) continue;
+      for (const [name, type] of g.fields) { o = writeField(dv, o, type, q[name]); }
+    }
+  }
+  return new Uint8Array(buf);
+}
+
+/**
+ * getBase(id) must return the decoded snap with that id, or null. Returns
+ * null when a delta's base is unknown — the caller should drop the packet
+ * and keep acking its last good snapshot so the server falls back to full.
+ */
+function decodeSnapshot(bytes, getBase) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  let o = 0;
+  const kind   = dv.getUint8(o); o += 1;
+  const id     = dv.getUint32(o, true); o += 4;
+  const baseId = dv.getUint32(o, true); o += 4;
+  let base = null;
+  if (kind === KIND_DELTA) { base = getBase(baseId); if (!base) return null; }
+  const snap = { id, timer:dv.getUint16(o, true), itSlot:0, selfSlot:0, players:new Map() }; o += 2;
+  snap.itSlot   = dv.getUint8(o); o += 1;
+  snap.selfSlot = dv.getUint8(o); o += 1;
+  const presentMask = dv.getUint16(o, true); o += 2;
+  const changed     = dv.getUint8(o); o += 1;
+
+  for (let slot = 0; slot < MAX_SLOTS; slot++) {
+    if (!(presentMask & (1 << slot))) continue;
+    const prev = base && base.players.get(slot);
+    snap.players.set(slot, prev ? { ...prev } : {});
+  }
+  for (let i = 0; i < changed; i++) {
+    const slot = dv.getUint8(o); o += 1;
+    const mask = dv.getUint8(o); o += 1;
+    const q = snap.players.get(slot) || {};
+    for (const g of GROUPS) {
+      if (!(mask & g.bit)) continue;
+      for (const [name, type] of g.fields) { const r = readField(dv, o, type); q[name] = r.v; o = r.o; }
+    }
+    snap.players.set(slot, q);
+  }
+  return snap;
+}
+
+function writeField(dv, o, type, v) {
+  switch (type) {
+    case 'u8':  dv.setUint8(o, v);        return o + 1;
+    case 'i16': dv.setInt16(o, v, true);  return o + 2;
+    case 'u16': dv.setUint16(o, v, true); return o + 2;
+    case 'u32': dv.setUint32(o, v, true); return o + 4;
+  }
+  throw new Error('Unknown field type ' + type);
+}
+
+function readField(dv, o, type) {
+  switch (type) {
+    case 'u8':  return { v:dv.getUint8(o),        o:o + 1 };
+    case 'i16': return { v:dv.getInt16(o, true),  o:o + 2 };
+    case 'u16': return { v:dv.getUint16(o, true), o:o + 2 };
+    case 'u32': return { v:dv.getUint32(o, true), o:o + 4 };
+  }
+  throw new Error('Unknown field type ' + type);
+}
+
+return {
+  PROTOCOL_JSON, PROTOCOL_BINARY, PROTOCOL_VERSION, KIND_FULL, KIND_DELTA, NO_SLOT, MAX_SLOTS, EFFECTS,
+  GROUPS, ALL_GROUPS, quantizePlayer, dequantizePlayer, encodeSnapshot, decodeSnapshot,
+};
+});
@@ -0,0 +1,272 @@
+/**
+ * MULTIPLAYER TAG — Shared Physics
+ *
+ * Loaded by the browser as a plain <script> (exposes `TagShared`) and
+ * required by server.js. Both sides step players through `stepPlayer` at the
+ * same fixed tick, so client prediction and the authoritative server can't
+ * drift apart through copy-pasted constants. Maps are data (maps/*.json,
+ * loaded by lib/maps.js); the server sends the map to clients on gameStart.
+ *
+ * The parts of a map that change during a round live in a `world`
+ * ({ tick, crumble }): moving platforms are a pure function of world.tick,
+ * and world.crumble maps a crumbling platform's index to the tick it was
+ * first landed on. The server's room.world is authoritative; the client
+ * steps its own copy at its predicted tick.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TagShared = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// ─── Physics Constants ───────────────────────────────────────────────────────
+const TICK_RATE    = 60;
+const DT           = 1 / TICK_RATE;
+const GRAVITY      = 1600;
+const MOVE_SPEED   = 260;
+const JUMP_SPEED   = -620;
+const MAX_FALL     = 1000;
+const PLAYER_W     = 28;
+const PLAYER_H     = 36;
+const MAP_W        = 1200;
+const MAP_H        = 700;
+const BOUNCE_POWER = -820;
+const TELEPORT_CD  = TICK_RATE * 1.5;
+const JUMP_BUFFER_TICKS = 6;
+// Flat friction factor applied once per fixed tick
+const FRICTION = 0.80;
+
+// ─── Hazard & Power-up Constants ─────────────────────────────────────────────
+// Crumbling platforms hold for CRUMBLE_TICKS after someone lands on them,
+// then are gone for CRUMBLE_GONE_TICKS before they grow back
+const CRUMBLE_TICKS      = TICK_RATE / 2;
+const CRUMBLE_GONE_TICKS = TICK_RATE * 3;
+// On ice, input only pulls velocity part of the way toward the run speed,
+// and a slide dies away slowly
+const ICE_GRIP     = 0.08;
+const ICE_FRICTION = 0.97;
+// Feet may be this far below a one-way platform's top and still land on it
+const ONE_WAY_SLACK = 1;
+const SPEED_BOOST   = 1.5;
+// How long a picked-up power-up lasts. The freeze ray is instant: it stuns
+// someone else for STUN_TICKS.
+const POWERUP_TICKS = { speed:TICK_RATE * 5, doubleJump:TICK_RATE * 8, invisible:TICK_RATE * 4, shield:TICK_RATE * 8 };
+const STUN_TICKS    = TICK_RATE * 2;
+
+// ─── Physics ─────────────────────────────────────────────────────────────────
+function aabb(ax,ay,aw,ah,bx,by,bw,bh) {
+  return ax < bx+bw && ax+aw > bx && ay < by+bh && ay+ah > by;
+}
+
+// ─── World ───────────────────────────────────────────────────────────────────
+function newWorld(tick = 0) {
+  return { tick, crumble:{} };
+}
+
+// One fixed tick of the world, before anyone moves in it
+function stepWorld(world) {
+  world.tick++;
+  for (const i in world.crumble) {
+    if (world.tick - world.crumble[i] >= CRUMBLE_TICKS + CRUMBLE_GONE_TICKS) delete world.crumble[i];
+  }
+}
+
+function crumbled(world, i) {
+  const at = world.crumble[i];
+  return at !== undefined && world.tick - at >= CRUMBLE_TICKS;
+}
+
+// Top-left of a platform at `tick` (fractional ticks are fine — the client
+// draws between them). A moving platform runs from its own x,y through each
+// point of its path and back again, at plat.speed px/s.
+function platformPosition(plat, tick) {
+  if (!plat.path) return plat;
+  const pts = [plat, ...plat.path];
+  const seg = i => Math.sqrt((pts[i].x - pts[i-1].x) ** 2 + (pts[i].y - pts[i-1].y) ** 2);
+  let len = 0;
+  for (let i = 1; i < pts.length; i++) len += seg(i);
+  if (!len) return plat;
+  let d = (Math.max(0, tick) * plat.speed * DT) % (2 * len);
+  if (d > len) d = 2 * len - d;
+  for (let i = 1; i < pts.length; i++) {
+    const s = seg(i);
+    if (d > s && i < pts.length - 1) { d -= s; continue; }
+    const t = s ? Math.min(1, d / s) : 0;
+    return { x:pts[i-1].x + (pts[i].x - pts[i-1].x) * t, y:pts[i-1].y + (pts[i].y - pts[i-1].y) * t };
+  }
+  return plat;
+}
+
+// Platform i's box this tick: the platform itself when it's static, null
+// while it has crumbled away
+function platformRect(map, i, world) {
+  const plat = map.platforms[i];
+  if (plat.crumble && crumbled(world, i)) return null;
+  if (!plat.path) return plat;
+  const pos = platformPosition(plat, world.tick);
+  return { x:pos.x, y:pos.y, w:plat.w, h:plat.h };
+}
+
+// The platform a grounded player is standing on, where it was last tick
+function groundPlatform(player, map, world) {
+  if (!player.onGround) return null;
+  const feet = player.y + PLAYER_H;
+  for (let i = 0; i < map.platforms.length; i++) {
+    const plat = map.platforms[i];
+    if (plat.crumble && crumbled(world, i)) continue;
+    const pos = plat.path ? platformPosition(plat, world.tick - 1) : plat;
+    if (Math.abs(pos.y - feet) < 1 && player.x < pos.x + plat.w && player.x + PLAYER_W > pos.x) return { plat, pos };
+  }
+  return null;
+}
+
+// Latch one input command ({left,right,jump}) into a persistent input state.
+// A rising jump edge arms the jump buffer. Server and client replay both go
+// through here so the edge is detected identically on each side.
+function applyCommand(inp, cmd) {
+  if (cmd.jump && !inp.jump) inp.jumpBuffer = JUMP_BUFFER_TICKS;
+  inp.left = !!cmd.left; inp.right = !!cmd.right; inp.jump = !!cmd.jump;
+}
+
+// Horizontal movement + buffered jump. `inp.jumpBuffer` is consumed here, so
+// the caller must keep the same input object between ticks.
+function applyInput(player, inp, ice = false) {
+  const speed = player.effect === 'speed' ? MOVE_SPEED * SPEED_BOOST : MOVE_SPEED;
+  const run   = v => ice ? player.vx + (v - player.vx) * ICE_GRIP : v;
+  if (inp.left && !inp.right)       { player.vx = run(-speed); player.facingRight = false; }
+  else if (inp.right && !inp.left)  { player.vx = run(speed);  player.facingRight = true;  }
+  else { player.vx *= ice ? ICE_FRICTION : FRICTION; if (Math.abs(player.vx) < 2) player.vx = 0; }
+
+  // airJumps: mid-air jumps left (double jump power-up)
+  const airJump = !player.onGround && player.airJumps > 0;
+  if (inp.jumpBuffer > 0 && (player.onGround || airJump)) {
+    if (airJump) player.airJumps--;
+    player.vy = JUMP_SPEED; player.onGround = false; inp.jumpBuffer = 0;
+  } else if (inp.jumpBuffer > 0) { inp.jumpBuffer--; }
+}
+
+// `world` positions moving platforms and says which crumbling ones are gone;
+// landing on a crumbling platform starts it crumbling.
+function resolvePlatformCollisions(player, map, world = newWorld()) {
+  const { platforms, bouncePads } = map;
+
+  // ── X axis ──
+  // Save prevY before moving X so the X-overlap test uses the pre-move Y.
+  // Without this, a player standing ON TOP of a platform triggers the
+  // X-collision and gets pushed sideways off it.
+  const prevY = player.y;
+  player.x += player.vx * DT;
+  player.x  = Math.max(0, Math.min(MAP_W - PLAYER_W, player.x));
+  for (let i = 0; i < platforms.length; i++) {
+    // One-way platforms are only solid from above
+    const r = platforms[i].oneWay ? null : platformRect(map, i, world);
+    if (!r || !aabb(player.x, prevY, PLAYER_W, PLAYER_H, r.x, r.y, r.w, r.h)) continue;
+    const overL = (player.x + PLAYER_W) - r.x;
+    const overR = (r.x + r.w) - player.x;
+    if (overL < overR) player.x = r.x - PLAYER_W;
+    else               player.x = r.x + r.w;
+    player.vx = 0;
+  }
+
+  // ── Y axis ──
+  const prevFeet  = player.y + PLAYER_H;
+  player.vy       = Math.min(player.vy + GRAVITY * DT, MAX_FALL);
+  player.y       += player.vy * DT;
+  player.onGround = false;
+
+  // Resolve only the shallowest overlap, not all platforms. Resolving every
+  // overlapping platform in sequence can cascade-push the player through one
+  // platform into the next (teleport-to-ground).
+  let best = null, bestO = Infinity, bestI = -1;
+  for (let i = 0; i < platforms.length; i++) {
+    const r = platformRect(map, i, world);
+    if (!r || !aabb(player.x, player.y, PLAYER_W, PLAYER_H, r.x, r.y, r.w, r.h)) continue;
+    // …and only catch players coming down onto them
+    if (platforms[i].oneWay && (player.vy < 0 || prevFeet > r.y + ONE_WAY_SLACK)) continue;
+    const o = Math.min((player.y + PLAYER_H) - r.y, (r.y + r.h) - player.y);
+    if (o < bestO) { bestO = o; best = r; bestI = i; }
+  }
+  if (best) {
+    const plat  = platforms[bestI];
+    const overT = (player.y + PLAYER_H) - best.y;
+    const overB = (best.y + best.h) - player.y;
+    if (overT <= overB + 1 || plat.oneWay) {
+      player.y = best.y - PLAYER_H; player.vy = 0; player.onGround = true;
+      if (plat.crumble && world.crumble[bestI] === undefined) world.crumble[bestI] = world.tick;
+    }
+    else { player.y = best.y + best.h; player.vy = Math.abs(player.vy) * 0.2; }
+  }
+
+  // ── Bounce pads: NON-SOLID trigger zone ──
+  for (const pad of bouncePads) {
+    if (player.vy < -100) continue;
+    if (aabb(player.x + 2, player.y + PLAYER_H - 10, PLAYER_W - 4, 14,
+             pad.x, pad.y, pad.w, pad.h)) {
+      player.vy       = BOUNCE_POWER;
+      player.onGround = false;
+    }
+  }
+
+  // Fell off world
+  if (player.y > MAP_H + 150) {
+    player.y = 100; player.x = MAP_W / 2 - PLAYER_W / 2;
+    player.vy = 0; player.onGround = false;
+  }
+}
+
+function checkTeleporters(player, map) {
+  if (player.teleportCooldown > 0) { player.teleportCooldown--; return; }
+  for (const tp of map.teleporters) {
+    const cx = player.x + PLAYER_W / 2, cy = player.y + PLAYER_H / 2;
+    if (Math.hypot(cx - tp.x, cy - tp.y) < tp.r + 14) {
+      player.x = tp.targetX - PLAYER_W / 2;
+      player.y = tp.targetY - PLAYER_H;
+      player.vy = 0;
+      player.teleportCooldown = TELEPORT_CD;
+      return;
+    }
+  }
+}
+
+// Power-up timers run down with movement, so prediction sees an effect end
+// on the same tick the server does
+function tickEffects(player) {
+  if (player.onGround && player.effect === 'doubleJump') player.airJumps = 1;
+  if (player.stunTicks > 0) player.stunTicks--;
+  if (player.effectTicks > 0 && --player.effectTicks === 0) { player.effect = null; player.airJumps = 0; }
+}
+
+// A picked-up power-up replaces whatever the player had
+function startEffect(player, kind) {
+  player.effect = kind; player.effectTicks = POWERUP_TICKS[kind];
+  player.airJumps = kind === 'doubleJump' ? 1 : 0;
+}
+
+// One fixed tick of player movement. This is the ONLY place movement is
+// simulated — server gameTick and client prediction both call it, each
+// after stepWorld has moved `world` on to this tick.
+// Frozen and stunned players still fall and slide to a stop but ignore
+// input; eliminated players are out of the round and don't move at all.
+function stepPlayer(player, inp, map, world = newWorld()) {
+  if (player.eliminated) return;
+  const ground = groundPlatform(player, map, world);
+  // Riding a moving platform: go where it went since last tick
+  if (ground && ground.plat.path) {
+    const now = platformPosition(ground.plat, world.tick);
+    player.x += now.x - ground.pos.x; player.y += now.y - ground.pos.y;
+  }
+  const held = player.frozen || player.stunTicks > 0;
+  applyInput(player, held ? { left:false, right:false, jumpBuffer:0 } : inp, !!ground?.plat.ice);
+  resolvePlatformCollisions(player, map, world);
+  checkTeleporters(player, map);
+  tickEffects(player);
+}
+
+return {
+  TICK_RATE, DT, GRAVITY, MOVE_SPEED, JUMP_SPEED, MAX_FALL, PLAYER_W, PLAYER_H,
+  MAP_W, MAP_H, BOUNCE_POWER, TELEPORT_CD, JUMP_BUFFER_TICKS, FRICTION,
+  CRUMBLE_TICKS, CRUMBLE_GONE_TICKS, ICE_GRIP, ICE_FRICTION, SPEED_BOOST, POWERUP_TICKS, STUN_TICKS,
+  aabb, newWorld, stepWorld, crumbled, platformPosition, platformRect,
+  applyCommand, applyInput, resolvePlatformCollisions, checkTeleporters, startEffect, stepPlayer,
+};
+});
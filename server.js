@@ -6,6 +6,7 @@ const express    = require('express');
 const http       = require('http');
 const { Server } = require('socket.io');
 const path       = require('path');
+const crypto     = require('crypto');
 
 const app        = express();
 const httpServer = http.createServer(app);
@@ -18,137 +19,178 @@ const io         = new Server(httpServer, {
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-// ─── Physics Constants (MUST match client) ───────────────────────────────────
-const TICK_RATE    = 60;
-const DT           = 1 / TICK_RATE;
-const GRAVITY      = 1600;
-const MOVE_SPEED   = 260;
-const JUMP_SPEED   = -620;
-const MAX_FALL     = 1000;
-const PLAYER_W     = 28;
-const PLAYER_H     = 36;
-const MAP_W        = 1200;
-const MAP_H        = 700;
+// Round recordings, as JSON files (format in lib/replay.js)
+app.get('/replays/:id', (req, res) => {
+  const data = replays.get(req.params.id);
+  if (!data) return res.status(404).json({ error:'Replay not found' });
+  res.attachment(`tag-${data.room}-round${data.round}-${data.id}.json`).json(data);
+});
+
+// Profiles and leaderboards (lib/profiles.js). ?sort= any stat, ?limit= 1–100.
+app.get('/profiles/:name', (req, res) => {
+  const profile = getProfile(profiles, req.params.name);
+  if (!profile) return res.status(404).json({ error:'Profile not found' });
+  res.json(profile);
+});
+
+app.get('/leaderboard', (req, res) => {
+  res.json(leaderboard(profiles, { sort:req.query.sort, limit:req.query.limit }));
+});
+
+app.get('/leaderboard/:map', (req, res) => {
+  const map = MAPS.find(m => m.name.toLowerCase() === req.params.map.toLowerCase());
+  if (!map) return res.status(404).json({ error:'Map not found' });
+  res.json({ map:map.name, ...leaderboard(profiles, { mapName:map.name, sort:req.query.sort, limit:req.query.limit }) });
+});
+
+// The public room browser, same list as the listRooms socket event
+app.get('/rooms', (req, res) => {
+  res.json({ rooms:publicRooms() });
+});
+
+// Operations: Prometheus metrics and the admin page, both behind
+// ADMIN_PASSWORD (HTTP basic auth, any username). The admin page's actions
+// are JSON POSTs, which a cross-site form can't forge.
+app.get('/metrics', adminAuth, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/admin', adminAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'index.html'));
+});
+
+app.use('/admin/api', adminAuth, express.json({ limit:'4kb' }), (req, res, next) => {
+  if (req.method === 'POST' && !req.is('application/json')) return res.status(415).json({ error:'Send JSON' });
+  next();
+});
+
+app.get('/admin/api/rooms', (req, res) => {
+  res.json({ rooms:[...rooms.values()].map(adminRoomData), rejections:rejectLog.slice(-100).reverse() });
+});
+
+app.post('/admin/api/rooms/:code/end', (req, res) => {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) return res.status(404).json({ error:'Room not found' });
+  if (!adminEndGame(room)) return res.status(409).json({ error:'No game running' });
+  console.log(`[admin] ended the game in ${room.code}`);
+  res.json({ success:true });
+});
+
+app.post('/admin/api/rooms/:code/close', (req, res) => {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) return res.status(404).json({ error:'Room not found' });
+  closeRoom(room, 'admin');
+  console.log(`[admin] closed ${room.code}`);
+  res.json({ success:true });
+});
+
+// { message, code? } — to one room, or everyone connected
+app.post('/admin/api/broadcast', (req, res) => {
+  const r = ANNOUNCEMENT(req.body);
+  if (!r.ok) return res.status(400).json({ error:r.error });
+  const { message, code } = r.value;
+  if (code && !rooms.has(code.toUpperCase())) return res.status(404).json({ error:'Room not found' });
+  (code ? io.to(code.toUpperCase()) : io).emit('announcement', { msg:message });
+  console.log(`[admin] announced to ${code ? code.toUpperCase() : 'everyone'}: ${message}`);
+  res.json({ success:true });
+});
+
+// ─── Shared physics & maps (public/shared.js — also served to the client) ────
+const {
+  TICK_RATE, PLAYER_W, PLAYER_H, TELEPORT_CD, applyCommand, stepPlayer, newWorld, stepWorld,
+} = require('./public/shared');
+const { MAP_DIR, MAX_MAP_BYTES, loadMaps, parseMap } = require('./lib/maps');
+const { MODES, getMode, clearRoles } = require('./lib/modes');
+const {
+  MATCH_ROUNDS, resetRoundStats, trackTick, scoreRound, newMatch, addRound, standings,
+} = require('./lib/scoring');
+const {
+  PROTOCOL_JSON, PROTOCOL_BINARY, NO_SLOT, quantizePlayer, encodeSnapshot,
+} = require('./public/protocol');
+const { DIFFICULTIES, BOT_NAMES, newBrain, resetBrain, botCommand } = require('./lib/bots');
+const { newPowerups, powerupData, shielded, tickPowerups, blockTag } = require('./lib/powerups');
+const {
+  startRecording, recordInput, recordRoles, recordEvent, recordLeave, finishRecording,
+} = require('./lib/replay');
+const { openProfiles, flushProfiles, claimName, recordRound, getProfile, leaderboard } = require('./lib/profiles');
+const { skillRating, lobbyRating, pickLobby } = require('./lib/matchmaking');
+const { string, int, bool, oneOf, object } = require('./lib/validate');
+const { newBucket, refill, take, newLimiter } = require('./lib/ratelimit');
+const { newChatFilter, newSpamState, spamCheck } = require('./lib/chat');
+const {
+  newMetrics, recordTick, recordMissed, recordRejected, recordBytesOut, bytesOutPerSecond, percentile, formatMetrics,
+} = require('./lib/metrics');
+
 const TAG_DIST     = 46;
-const TAG_COOLDOWN = TICK_RATE * 2.5;
-const BOUNCE_POWER = -820;
-const TELEPORT_CD  = TICK_RATE * 1.5;
-const JUMP_BUFFER_TICKS = 6;
-// Friction factor per tick — must match client: Math.pow(0.80, dt*60)
-// At exactly 60Hz, Math.pow(0.80, 1) = 0.80, so this is correct
-const FRICTION = 0.80;
+// Lag compensation: tags are checked against where targets were on the "it"
+// player's screen, rewinding at most this far (LAG_COMP_MS=0 disables it).
+const LAG_COMP_MS    = Math.max(0, Number(process.env.LAG_COMP_MS ?? 200) || 0);
+const LAG_COMP_TICKS = Math.round(LAG_COMP_MS / 1000 * TICK_RATE);
 
 const PLAYER_COLORS = ['#FF4D6D', '#4CC9F0', '#F9C74F', '#90BE6D'];
 const MAX_PLAYERS   = 4;
-
-// ─── Map Definitions (must match client) ─────────────────────────────────────
-const MAPS = [
-  { name:'Forest', bgTop:'#061a10', bgBottom:'#0d2e1a',
-    platforms:[
-      {x:0,   y:660,w:1200,h:40,color:'#1a4a2e',ground:true},
-      {x:20,  y:560,w:180, h:22,color:'#2d6a4f'},
-      {x:40,  y:460,w:150, h:22,color:'#40916c'},
-      {x:20,  y:355,w:170, h:22,color:'#40916c'},
-      {x:50,  y:250,w:140, h:22,color:'#52b788'},
-      {x:20,  y:148,w:160, h:22,color:'#52b788'},
-      {x:220, y:530,w:130, h:22,color:'#40916c'},
-      {x:250, y:420,w:110, h:22,color:'#40916c'},
-      {x:210, y:310,w:130, h:22,color:'#52b788'},
-      {x:240, y:205,w:120, h:22,color:'#52b788'},
-      {x:440, y:160,w:320, h:22,color:'#74c69d'},
-      {x:480, y:270,w:240, h:22,color:'#52b788'},
-      {x:460, y:380,w:280, h:22,color:'#40916c'},
-      {x:500, y:490,w:200, h:22,color:'#40916c'},
-      {x:520, y:590,w:160, h:22,color:'#2d6a4f'},
-      {x:750, y:530,w:130, h:22,color:'#40916c'},
-      {x:780, y:420,w:110, h:22,color:'#40916c'},
-      {x:750, y:310,w:130, h:22,color:'#52b788'},
-      {x:760, y:205,w:120, h:22,color:'#52b788'},
-      {x:980, y:560,w:180, h:22,color:'#2d6a4f'},
-      {x:1000,y:460,w:150, h:22,color:'#40916c'},
-      {x:980, y:355,w:170, h:22,color:'#40916c'},
-      {x:1000,y:250,w:140, h:22,color:'#52b788'},
-      {x:980, y:148,w:160, h:22,color:'#52b788'},
-      {x:350, y:490,w:100, h:22,color:'#40916c'},
-      {x:740, y:490,w:100, h:22,color:'#40916c'},
-      {x:340, y:140,w:80,  h:22,color:'#52b788'},
-      {x:780, y:140,w:80,  h:22,color:'#52b788'},
-    ],
-    bouncePads:[{x:180,y:642,w:80,h:18},{x:550,y:642,w:80,h:18},{x:920,y:642,w:80,h:18}],
-    teleporters:[{x:30,y:638,r:24,targetX:1160,targetY:638},{x:1160,y:638,r:24,targetX:30,targetY:638}],
-    spawns:[{x:100,y:620},{x:1060,y:620},{x:440,y:620},{x:700,y:620}],
-  },
-  { name:'Arctic', bgTop:'#020a1a', bgBottom:'#061830',
-    platforms:[
-      {x:0,   y:660,w:1200,h:40,color:'#6dd5ed',ground:true},
-      {x:20,  y:560,w:190, h:22,color:'#ade8f4'},
-      {x:40,  y:455,w:160, h:22,color:'#caf0f8'},
-      {x:20,  y:350,w:180, h:22,color:'#ade8f4'},
-      {x:50,  y:248,w:150, h:22,color:'#caf0f8'},
-      {x:20,  y:148,w:170, h:22,color:'#ade8f4'},
-      {x:240, y:530,w:130, h:22,color:'#ade8f4'},
-      {x:260, y:420,w:120, h:22,color:'#caf0f8'},
-      {x:230, y:308,w:140, h:22,color:'#ade8f4'},
-      {x:250, y:200,w:130, h:22,color:'#caf0f8'},
-      {x:440, y:155,w:320, h:22,color:'#e0f7fa'},
-      {x:460, y:265,w:280, h:22,color:'#caf0f8'},
-      {x:450, y:375,w:300, h:22,color:'#ade8f4'},
-      {x:490, y:485,w:220, h:22,color:'#ade8f4'},
-      {x:520, y:590,w:160, h:22,color:'#90e0ef'},
-      {x:760, y:530,w:130, h:22,color:'#ade8f4'},
-      {x:790, y:420,w:120, h:22,color:'#caf0f8'},
-      {x:770, y:308,w:140, h:22,color:'#ade8f4'},
-      {x:760, y:200,w:130, h:22,color:'#caf0f8'},
-      {x:980, y:560,w:190, h:22,color:'#ade8f4'},
-      {x:1000,y:455,w:160, h:22,color:'#caf0f8'},
-      {x:980, y:350,w:180, h:22,color:'#ade8f4'},
-      {x:1000,y:248,w:150, h:22,color:'#caf0f8'},
-      {x:980, y:148,w:170, h:22,color:'#ade8f4'},
-      {x:360, y:488,w:100, h:22,color:'#ade8f4'},
-      {x:750, y:488,w:100, h:22,color:'#ade8f4'},
-    ],
-    bouncePads:[{x:200,y:642,w:80,h:18},{x:555,y:642,w:80,h:18},{x:920,y:642,w:80,h:18}],
-    teleporters:[{x:30,y:638,r:24,targetX:1160,targetY:638},{x:1160,y:638,r:24,targetX:30,targetY:638}],
-    spawns:[{x:100,y:620},{x:1060,y:620},{x:440,y:620},{x:700,y:620}],
-  },
-  { name:'Desert', bgTop:'#100600', bgBottom:'#5c2800',
-    platforms:[
-      {x:0,   y:660,w:1200,h:40,color:'#a07020',ground:true},
-      {x:20,  y:560,w:170, h:22,color:'#c8922a'},
-      {x:40,  y:455,w:150, h:22,color:'#d4a43a'},
-      {x:20,  y:348,w:170, h:22,color:'#e9c46a'},
-      {x:50,  y:248,w:140, h:22,color:'#f4d03f'},
-      {x:20,  y:148,w:160, h:22,color:'#f9d74e'},
-      {x:240, y:528,w:120, h:22,color:'#c8922a'},
-      {x:260, y:418,w:110, h:22,color:'#d4a43a'},
-      {x:235, y:308,w:130, h:22,color:'#e9c46a'},
-      {x:250, y:200,w:120, h:22,color:'#f4d03f'},
-      {x:445, y:155,w:310, h:22,color:'#f9d74e'},
-      {x:465, y:265,w:270, h:22,color:'#f4d03f'},
-      {x:450, y:375,w:300, h:22,color:'#e9c46a'},
-      {x:490, y:485,w:220, h:22,color:'#d4a43a'},
-      {x:520, y:590,w:160, h:22,color:'#c8922a'},
-      {x:755, y:528,w:120, h:22,color:'#c8922a'},
-      {x:780, y:418,w:110, h:22,color:'#d4a43a'},
-      {x:760, y:308,w:130, h:22,color:'#e9c46a'},
-      {x:760, y:200,w:120, h:22,color:'#f4d03f'},
-      {x:990, y:560,w:170, h:22,color:'#c8922a'},
-      {x:1010,y:455,w:150, h:22,color:'#d4a43a'},
-      {x:990, y:348,w:170, h:22,color:'#e9c46a'},
-      {x:1010,y:248,w:140, h:22,color:'#f4d03f'},
-      {x:990, y:148,w:160, h:22,color:'#f9d74e'},
-      {x:360, y:488,w:100, h:22,color:'#d4a43a'},
-      {x:750, y:488,w:100, h:22,color:'#d4a43a'},
-    ],
-    bouncePads:[{x:190,y:642,w:80,h:18},{x:555,y:642,w:80,h:18},{x:920,y:642,w:80,h:18}],
-    teleporters:[{x:30,y:638,r:24,targetX:1160,targetY:638},{x:1160,y:638,r:24,targetX:30,targetY:638}],
-    spawns:[{x:100,y:620},{x:1060,y:620},{x:440,y:620},{x:700,y:620}],
-  },
-];
+// Built-in maps, from MAP_DIR (default maps/). A host can swap in an uploaded
+// map per room; the room then plays CUSTOM_MAP until they pick a built-in.
+const MAPS       = loadMaps(process.env.MAP_DIR || MAP_DIR, { minSpawns:MAX_PLAYERS });
+const CUSTOM_MAP = -1;
+// Queued input commands per player. Anything beyond this is a client running
+// ahead of the server clock; oldest commands are dropped.
+const MAX_INPUT_QUEUE = 30;
+// State is simulated at TICK_RATE but only sent at SNAPSHOT_RATE. Binary
+// clients get deltas against their last acked snapshot; we keep this many
+// sent snapshots per socket to delta against.
+const SNAPSHOT_RATE    = Math.max(1, Math.min(TICK_RATE, Number(process.env.SNAPSHOT_RATE) || 30));
+const SNAPSHOT_EVERY   = Math.round(TICK_RATE / SNAPSHOT_RATE);
+const SNAPSHOT_HISTORY = 32;
+// How long a dropped player's body is kept in the room waiting for them to
+// resumeSession before they're removed for good.
+const RECONNECT_GRACE_MS = Math.max(0, Number(process.env.RECONNECT_GRACE_MS ?? 30000) || 0);
+// Matches are several rounds: standings are shown for INTERMISSION_MS between
+// rounds, and the final podium for PODIUM_MS before the room returns to lobby.
+const INTERMISSION_MS = Math.max(0, Number(process.env.INTERMISSION_MS ?? 10000) || 0);
+const PODIUM_MS       = 20000;
+// While a dropped player is in their grace period a bot plays for them
+// (BOT_TAKEOVER=0 leaves them standing idle instead).
+const BOT_TAKEOVER = process.env.BOT_TAKEOVER !== '0';
+// Finished rounds' recordings, downloadable from /replays/:id. Only the most
+// recent REPLAY_KEEP are held (in memory).
+const REPLAY_KEEP = Math.max(0, Number(process.env.REPLAY_KEEP ?? 50) || 0);
+// Claimed nicknames and lifetime stats (lib/profiles.js). PROFILE_FILE= (empty)
+// keeps them in memory only.
+const PROFILE_FILE = process.env.PROFILE_FILE ?? path.join(__dirname, 'data', 'profiles.json');
+// Spectators watch the gameState stream and queue for the next free slot
+const MAX_SPECTATORS = 16;
+// A public lobby that fills up starts its match by itself after this long
+const AUTO_START_MS = Math.max(0, Number(process.env.AUTO_START_MS ?? 5000) || 0);
+// Round lengths (seconds) a host can pick
+const ROUND_DURATIONS = [60, 90, 120, 180];
+// Profanity masking in chat and names (lib/chat.js); CHAT_BLOCKLIST= adds
+// comma-separated words.
+const chatFilter = newChatFilter((process.env.CHAT_BLOCKLIST || '').split(',').map(w => w.trim()).filter(Boolean));
+// Behind a reverse proxy (Render, Railway, …) the client's address is the
+// first X-Forwarded-For hop; set TRUST_PROXY=1 there so room bans see it.
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+// /metrics and /admin are off until this is set
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
 
 // ─── Rooms ───────────────────────────────────────────────────────────────────
-const rooms        = new Map();
-const socketToRoom = new Map();
+const rooms          = new Map();
+// socket.id → { code, playerId } or { code, spectatorId }. Player ids
+// outlive sockets: a resumed session rebinds a new socket to the same player.
+const socketBindings = new Map();
+// session token → { code, playerId }
+const sessions       = new Map();
+// replay id → recording (lib/replay.js), oldest first
+const replays        = new Map();
+const profiles       = openProfiles(PROFILE_FILE);
+const metrics        = newMetrics();
+
+function boundRoom(socketId) {
+  const b = socketBindings.get(socketId);
+  const room = b && rooms.get(b.code);
+  if (!room) return {};
+  return { room, playerId:b.playerId, player:room.players.get(b.playerId), spectator:room.spectators.get(b.spectatorId) };
+}
 
 function generateRoomCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
@@ -159,308 +201,1227 @@ function generateRoomCode() {
 }
 
 function createRoom(hostSocket, hostName, mapIndex=0, roundDuration=90) {
-  const code  = generateRoomCode();
-  const spawn = MAPS[mapIndex].spawns[0];
-  const room  = {
-    code, host: hostSocket.id, status:'lobby',
+  if (!MAPS[mapIndex]) mapIndex = 0;
+  const room = blankRoom(generateRoomCode(), mapIndex, roundDuration);
+  const host = addPlayerToRoom(room, hostSocket, hostName, 0, MAPS[mapIndex].spawns[0]);
+  room.host = host.id;
+  rooms.set(room.code, room);
+  return { room, player:host };
+}
+
+// A room in the lobby with nobody in it, not yet listed in `rooms`
+function blankRoom(code, mapIndex=0, roundDuration=90) {
+  return {
+    code, host:null, status:'lobby',
     mapIndex, roundDuration, timer:roundDuration,
+    mode:'classic', modeState:{}, modeHudKey:'',
+    customMap:null, rounds:3, match:null, lastEnd:null, phaseTimer:null,
+    world:null, worldKey:'', powerups:[],
     itPlayerId:null, tick:0, gameInterval:null, countdownValue:3,
-    players: new Map(), inputs: new Map(),
+    players: new Map(), inputs: new Map(), rosterVersion:0,
+    spectators: new Map(), rngState:crypto.randomBytes(4).readInt32LE(0), recording:null,
+    public:false, createdAt:Date.now(), bans:[],
   };
-  addPlayerToRoom(room, hostSocket, hostName, 0, spawn);
-  rooms.set(code, room);
-  return room;
 }
 
-function addPlayerToRoom(room, socket, name, colorIndex, spawn) {
-  room.players.set(socket.id, {
-    id:socket.id, name:name.substring(0,12), color:PLAYER_COLORS[colorIndex], colorIndex,
+function newPlayer(room, name, colorIndex, spawn) {
+  const player = blankPlayer(name, colorIndex, spawn);
+  room.players.set(player.id, player);
+  room.inputs.set(player.id, newInputState());
+  room.rosterVersion++;
+  return player;
+}
+
+// A player at `spawn`, not yet in any room
+function blankPlayer(name, colorIndex, spawn, id = crypto.randomBytes(8).toString('hex')) {
+  return {
+    id, name:name.substring(0,12), color:PLAYER_COLORS[colorIndex], colorIndex,
     x:spawn.x, y:spawn.y, vx:0, vy:0, onGround:false,
-    isIt:false, tagCooldown:0, teleportCooldown:0, timesTagged:0, facingRight:true,
-  });
-  room.inputs.set(socket.id, { left:false, right:false, jump:false, jumpBuffer:0 });
-  socketToRoom.set(socket.id, room.code);
+    isIt:false, frozen:false, eliminated:false, tagCooldown:0, teleportCooldown:0,
+    effect:null, effectTicks:0, stunTicks:0, airJumps:0,
+    timesTagged:0, tagsMade:0, rescues:0, outOrder:0, facingRight:true,
+    posHistory:[], lastSeen:null, slot:colorIndex,
+    socketId:null, sessionToken:null, graceTimer:null, bot:null, isBot:false, profile:null,
+    address:null, muted:false, spam:newSpamState(),
+  };
+}
+
+// Back to how every round starts: standing at `spawn`, no role, cooldown,
+// effect or stats from the last round
+function resetPlayer(p, spawn) {
+  p.x = spawn.x; p.y = spawn.y; p.vx = 0; p.vy = 0;
+  clearRoles(p); p.tagCooldown = 0; p.teleportCooldown = TELEPORT_CD; p.posHistory = [];
+  p.effect = null; p.effectTicks = p.stunTicks = p.airJumps = 0; p.lastSeen = null;
+  resetRoundStats(p);
+  if (p.bot) resetBrain(p.bot);
+}
+
+function addPlayerToRoom(room, socket, name, colorIndex, spawn) {
+  const player = newPlayer(room, name, colorIndex, spawn);
+  player.socketId = socket.id; player.address = clientAddress(socket);
+  player.sessionToken = crypto.randomBytes(16).toString('hex');
+  sessions.set(player.sessionToken, { code:room.code, playerId:player.id });
+  socketBindings.set(socket.id, { code:room.code, playerId:player.id });
   socket.join(room.code);
+  return player;
 }
 
-function removePlayerFromRoom(socketId) {
-  const code = socketToRoom.get(socketId);
-  if (!code) return null;
-  const room = rooms.get(code);
-  if (!room) return null;
-  room.players.delete(socketId);
-  room.inputs.delete(socketId);
-  socketToRoom.delete(socketId);
-  if (room.players.size === 0) { stopGameLoop(room); rooms.delete(code); return null; }
-  if (room.host === socketId) room.host = room.players.keys().next().value;
-  if (room.status === 'playing' && room.itPlayerId === socketId) {
-    const rem = [...room.players.keys()];
-    room.itPlayerId = rem[Math.floor(Math.random() * rem.length)];
-    room.players.get(room.itPlayerId).isIt = true;
-  }
-  if (room.status === 'playing' && room.players.size < 2) endGame(room, 'not_enough_players');
-  return { room, code };
+// Bots take a player slot like anyone else; they just have no socket.
+function addBotToRoom(room, difficulty) {
+  const taken = new Set([...room.players.values()].map(p => p.name));
+  const name  = BOT_NAMES.find(n => !taken.has(n)) || 'Bot';
+  const slot  = freeSlot(room);
+  const bot   = newPlayer(room, name, slot, roomMap(room).spawns[slot]);
+  bot.isBot = true;
+  bot.bot   = newBrain(difficulty);
+  return bot;
 }
 
-// ─── Physics ─────────────────────────────────────────────────────────────────
-function aabb(ax,ay,aw,ah,bx,by,bw,bh) {
-  return ax < bx+bw && ax+aw > bx && ay < by+bh && ay+ah > by;
-}
-
-function resolvePlatformCollisions(player, map) {
-  const { platforms, bouncePads } = map;
-
-  // ── X axis ──
-  // FIX: save prevY before moving X so the X-overlap test uses the
-  // pre-move Y. Without this, a player standing ON TOP of a platform
-  // triggers the X-collision and gets pushed sideways off it.
-  const prevY = player.y;
-  player.x += player.vx * DT;
-  player.x  = Math.max(0, Math.min(MAP_W - PLAYER_W, player.x));
-  for (const plat of platforms) {
-    // Use prevY — same as client predictLocalPlayer
-    if (!aabb(player.x, prevY, PLAYER_W, PLAYER_H, plat.x, plat.y, plat.w, plat.h)) continue;
-    const overL = (player.x + PLAYER_W) - plat.x;
-    const overR = (plat.x + plat.w) - player.x;
-    if (overL < overR) player.x = plat.x - PLAYER_W;
-    else               player.x = plat.x + plat.w;
-    player.vx = 0;
-  }
+// ─── Spectators ──────────────────────────────────────────────────────────────
+// Spectators are kept apart from room.players, so the game loop, tags and
+// modes never see them. They join the room's socket channel for game events,
+// plus a channel of their own for spectator chat. Join order is queue order.
+const specChannel = code => code + ':spectators';
 
-  // ── Y axis ──
-  player.vy       = Math.min(player.vy + GRAVITY * DT, MAX_FALL);
-  player.y       += player.vy * DT;
-  player.onGround = false;
-
-  // FIX: resolve only the shallowest overlap, not all platforms.
-  // Resolving every overlapping platform in sequence can cascade-push
-  // the player through one platform into the next (teleport-to-ground).
-  let best = null, bestO = Infinity;
-  for (const plat of platforms) {
-    if (!aabb(player.x, player.y, PLAYER_W, PLAYER_H, plat.x, plat.y, plat.w, plat.h)) continue;
-    const o = Math.min((player.y + PLAYER_H) - plat.y, (plat.y + plat.h) - player.y);
-    if (o < bestO) { bestO = o; best = plat; }
-  }
-  if (best) {
-    const overT = (player.y + PLAYER_H) - best.y;
-    const overB = (best.y + best.h) - player.y;
-    if (overT <= overB + 1) { player.y = best.y - PLAYER_H; player.vy = 0; player.onGround = true; }
-    else                    { player.y = best.y + best.h;   player.vy = Math.abs(player.vy) * 0.2; }
-  }
+function addSpectator(room, socket, name, profile = null) {
+  const spectator = {
+    id:crypto.randomBytes(8).toString('hex'), name:name.substring(0,12), socketId:socket.id, profile,
+    address:clientAddress(socket), muted:false, spam:newSpamState(),
+  };
+  room.spectators.set(spectator.id, spectator);
+  socketBindings.set(socket.id, { code:room.code, spectatorId:spectator.id });
+  socket.join(room.code); socket.join(specChannel(room.code));
+  return spectator;
+}
+
+function removeSpectator(room, spectatorId) {
+  const spectator = room.spectators.get(spectatorId);
+  if (!spectator) return;
+  room.spectators.delete(spectatorId);
+  socketBindings.delete(spectator.socketId);
+  const sock = io.sockets.sockets.get(spectator.socketId);
+  sock?.leave(room.code); sock?.leave(specChannel(room.code));
+}
 
-  // ── Bounce pads: NON-SOLID trigger zone ──
-  for (const pad of bouncePads) {
-    if (player.vy < -100) continue;
-    if (aabb(player.x + 2, player.y + PLAYER_H - 10, PLAYER_W - 4, 14,
-             pad.x, pad.y, pad.w, pad.h)) {
-      player.vy       = BOUNCE_POWER;
-      player.onGround = false;
+// Seat queued spectators in free slots. On the way back to the lobby they
+// also take over bots' slots — bots only fill in for missing people.
+function promoteSpectators(room, { replaceBots = false } = {}) {
+  const promoted = [];
+  for (const spectator of [...room.spectators.values()]) {
+    if (room.players.size >= MAX_PLAYERS && replaceBots) {
+      const bot = [...room.players.values()].reverse().find(p => p.isBot);
+      if (bot) removePlayerFromRoom(room, bot.id);
     }
+    if (room.players.size >= MAX_PLAYERS) break;
+    const sock = io.sockets.sockets.get(spectator.socketId);
+    removeSpectator(room, spectator.id);
+    const slot   = freeSlot(room);
+    const player = newPlayer(room, spectator.name, slot, roomMap(room).spawns[slot]);
+    player.socketId = spectator.socketId; player.profile = spectator.profile;
+    player.address = spectator.address; player.muted = spectator.muted; player.spam = spectator.spam;
+    player.sessionToken = crypto.randomBytes(16).toString('hex');
+    sessions.set(player.sessionToken, { code:room.code, playerId:player.id });
+    socketBindings.set(spectator.socketId, { code:room.code, playerId:player.id });
+    sock?.join(room.code);
+    io.to(spectator.socketId).emit('promoted', { playerId:player.id, sessionToken:player.sessionToken });
+    promoted.push(player);
   }
+  return promoted;
+}
+
+function humanCount(room) {
+  let n = 0;
+  for (const [, p] of room.players) if (!p.isBot) n++;
+  return n;
+}
 
-  // Fell off world
-  if (player.y > MAP_H + 150) {
-    player.y = 100; player.x = MAP_W / 2 - PLAYER_W / 2;
-    player.vy = 0; player.onGround = false;
+// Lowest slot not taken. The slot picks the player's color and addresses
+// them in binary snapshots, so it must stay unique within the room.
+function freeSlot(room) {
+  const taken = new Set([...room.players.values()].map(p => p.slot));
+  let slot = 0;
+  while (taken.has(slot)) slot++;
+  return slot;
+}
+
+function newInputState() {
+  return { left:false, right:false, jump:false, jumpBuffer:0, queue:[], lastSeq:0, clientTick:0, viewTick:0 };
+}
+
+function removePlayerFromRoom(room, playerId) {
+  const code   = room.code;
+  const player = room.players.get(playerId);
+  if (!player) return null;
+  clearTimeout(player.graceTimer);
+  if (player.sessionToken) sessions.delete(player.sessionToken);
+  if (player.socketId) socketBindings.delete(player.socketId);
+  room.players.delete(playerId);
+  room.inputs.delete(playerId);
+  room.rosterVersion++;
+  // Bots don't keep a room alive on their own
+  if (humanCount(room) === 0) { closeRoom(room); return null; }
+  if (room.host === playerId) room.host = [...room.players.values()].find(p => !p.isBot).id;
+  if (room.status === 'playing') {
+    const mode = getMode(room);
+    if (room.recording) recordLeave(room.recording, room.tick, player);
+    mode.onPlayerRemoved(room, player, modeContext(room));
+    if (room.recording) recordRoles(room.recording, room.tick, room.players.values());
+    if (room.players.size < 2) endGame(room, 'not_enough_players');
+    else { const reason = mode.checkEnd(room); if (reason) endGame(room, reason); }
   }
+  return { room, code };
 }
 
-function checkTeleporters(player, map) {
-  if (player.teleportCooldown > 0) { player.teleportCooldown--; return; }
-  for (const tp of map.teleporters) {
-    const cx = player.x + PLAYER_W / 2, cy = player.y + PLAYER_H / 2;
-    if (Math.hypot(cx - tp.x, cy - tp.y) < tp.r + 14) {
-      player.x = tp.targetX - PLAYER_W / 2;
-      player.y = tp.targetY - PLAYER_H;
-      player.vy = 0;
-      player.teleportCooldown = TELEPORT_CD;
-      return;
-    }
+// Shut a room down with everyone still in it; reason is 'admin' when an
+// admin closed it, otherwise null (the last person left)
+function closeRoom(room, reason = null) {
+  stopGameLoop(room); clearTimeout(room.phaseTimer); room.phaseTimer = null;
+  io.to(room.code).emit('roomClosed', { reason });
+  for (const [, p] of room.players) {
+    clearTimeout(p.graceTimer);
+    if (p.sessionToken) sessions.delete(p.sessionToken);
+    if (p.socketId) { socketBindings.delete(p.socketId); io.sockets.sockets.get(p.socketId)?.leave(room.code); }
   }
+  for (const id of [...room.spectators.keys()]) removeSpectator(room, id);
+  rooms.delete(room.code);
+}
+
+// ─── Sessions ────────────────────────────────────────────────────────────────
+// A dropped socket doesn't remove its player straight away: the body stays
+// in the room with idle input for RECONNECT_GRACE_MS so a phone hopping from
+// Wi-Fi to cellular can resumeSession back into the same slot.
+function dropPlayerSocket(room, playerId) {
+  const player = room.players.get(playerId);
+  if (!player) return;
+  player.socketId = null;
+  const inp = room.inputs.get(playerId);
+  if (inp) { inp.left = inp.right = inp.jump = false; inp.jumpBuffer = 0; inp.queue.length = 0; }
+  if (BOT_TAKEOVER) player.bot = newBrain('normal', { takeover:true });
+  player.graceTimer = setTimeout(() => announceLeft(removePlayerFromRoom(room, playerId), playerId), RECONNECT_GRACE_MS);
+  io.to(room.code).emit('playerDisconnected', {playerId,room:getRoomLobbyData(room)});
+}
+
+// Rebinds `socket` to the player behind `token`. A still-open old socket
+// (the server hasn't noticed it died yet) is unbound and closed.
+function resumeSession(socket, token) {
+  const s = sessions.get(token);
+  const room = s && rooms.get(s.code);
+  const player = room && room.players.get(s.playerId);
+  if (!player) return null;
+  clearTimeout(player.graceTimer); player.graceTimer = null;
+  if (player.bot?.takeover) player.bot = null;
+  const oldSocketId = player.socketId;
+  if (oldSocketId && oldSocketId !== socket.id) {
+    socketBindings.delete(oldSocketId);
+    io.sockets.sockets.get(oldSocketId)?.disconnect(true);
+  }
+  player.socketId = socket.id;
+  socketBindings.set(socket.id, { code:room.code, playerId:player.id });
+  socket.join(room.code);
+  // The client restarts its input sequence after a resume
+  const inp = room.inputs.get(player.id);
+  if (inp) { inp.queue.length = 0; inp.lastSeq = 0; inp.clientTick = 0; inp.viewTick = 0; }
+  io.to(room.code).emit('playerReconnected', {playerId:player.id,room:getRoomLobbyData(room)});
+  return { room, player };
 }
 
 // ─── Game Loop ───────────────────────────────────────────────────────────────
+function roomMap(room) {
+  return room.mapIndex === CUSTOM_MAP ? room.customMap : MAPS[room.mapIndex];
+}
+
+function startMatch(room) {
+  clearTimeout(room.phaseTimer); room.phaseTimer = null;
+  room.match = newMatch(room.rounds); room.lastEnd = null;
+  startCountdown(room);
+}
+
+// The countdown's interval sits in room.phaseTimer, so anything that cuts
+// the phase short (returnToLobby, the room closing) cancels it too
 function startCountdown(room) {
   room.status = 'countdown'; room.countdownValue = 3;
   io.to(room.code).emit('countdown', { value: 3 });
-  const iv = setInterval(() => {
+  clearTimeout(room.phaseTimer);
+  room.phaseTimer = setInterval(() => {
     room.countdownValue--;
-    if (room.countdownValue <= 0) { clearInterval(iv); startGame(room); }
+    if (room.countdownValue <= 0) { clearInterval(room.phaseTimer); room.phaseTimer = null; startGame(room); }
     else io.to(room.code).emit('countdown', { value: room.countdownValue });
   }, 1000);
 }
 
 function startGame(room) {
   room.status = 'playing'; room.timer = room.roundDuration; room.tick = 0;
-  const map = MAPS[room.mapIndex];
+  const map = roomMap(room);
   let si = 0;
-  for (const [, p] of room.players) {
-    const sp = map.spawns[si++ % map.spawns.length];
-    p.x = sp.x; p.y = sp.y; p.vx = 0; p.vy = 0;
-    p.isIt = false; p.tagCooldown = 0; p.teleportCooldown = TELEPORT_CD;
-  }
+  for (const [, p] of room.players) resetPlayer(p, map.spawns[si++ % map.spawns.length]);
   for (const [, inp] of room.inputs) {
     inp.left = inp.right = inp.jump = false; inp.jumpBuffer = 0;
+    inp.queue.length = 0; inp.lastSeq = 0; inp.clientTick = 0; inp.viewTick = 0;
   }
-  const ids = [...room.players.keys()];
-  room.itPlayerId = ids[Math.floor(Math.random() * ids.length)];
-  room.players.get(room.itPlayerId).isIt = true;
-  io.to(room.code).emit('gameStart', { mapIndex: room.mapIndex, roundDuration: room.roundDuration, itPlayerId: room.itPlayerId });
-  room.gameInterval = setInterval(() => gameTick(room), 1000 / TICK_RATE);
+  // Snapshot ids are room ticks, which restart at 0 — drop old delta bases
+  for (const [, p] of room.players) if (p.socketId) resetNetState(getNetState(p.socketId));
+  for (const [, s] of room.spectators) resetNetState(getNetState(s.socketId));
+  room.itPlayerId = null; room.modeState = {}; room.modeHudKey = '';
+  // Clients get the fresh world in gameStart, so syncWorld starts from it
+  room.world = newWorld(); room.worldKey = JSON.stringify(room.world.crumble); room.powerups = newPowerups(map);
+  getMode(room).start(room, modeContext(room));
+  room.recording = startRecording(room, map, crypto.randomBytes(6).toString('hex'));
+  io.to(room.code).emit('gameStart', {
+    mapIndex: room.mapIndex, map, roundDuration: room.roundDuration, itPlayerId: room.itPlayerId, mode: room.mode,
+    round: room.match?.round ?? 1, rounds: room.match?.rounds ?? 1, world: room.world, powerups: powerupData(room.powerups),
+  });
+  room.lastTickAt = 0;
+  room.gameInterval = setInterval(() => runTick(room), TICK_MS);
+}
+
+// gameTick, timed for /metrics. An interval that fires a whole tick period
+// or more late (an overloaded event loop) counts the periods it slipped as
+// missed ticks.
+const TICK_MS = 1000 / TICK_RATE;
+function runTick(room) {
+  const start = performance.now();
+  const late = room.lastTickAt ? start - room.lastTickAt - TICK_MS : 0;
+  if (late >= TICK_MS) recordMissed(metrics, Math.floor(late / TICK_MS));
+  room.lastTickAt = start;
+  gameTick(room);
+  recordTick(metrics, performance.now() - start);
 }
 
 function gameTick(room) {
   if (room.status !== 'playing') return;
-  const map = MAPS[room.mapIndex];
+  const map = roomMap(room);
+  // Rooms that didn't come through startGame (tests) start with a still world
+  room.world ??= newWorld(room.tick);
+  room.powerups ??= newPowerups(map);
+  room.tick++;
+  stepWorld(room.world);
 
+  // Bots decide from the current state and queue a command just as a
+  // client's input would arrive
   for (const [id, player] of room.players) {
-    const inp = room.inputs.get(id) || {};
-
-    // FIX: friction uses same constant as client — flat FRICTION per tick at 60Hz
-    if (inp.left && !inp.right)       { player.vx = -MOVE_SPEED; player.facingRight = false; }
-    else if (inp.right && !inp.left)  { player.vx =  MOVE_SPEED; player.facingRight = true;  }
-    else { player.vx *= FRICTION; if (Math.abs(player.vx) < 2) player.vx = 0; }
+    if (!player.bot) continue;
+    const seq = room.inputs.get(id).lastSeq + 1;
+    queueInput(room, id, { ...botCommand(room, player, map), seq, tick:room.tick, view:room.tick });
+  }
 
-    if (inp.jumpBuffer > 0 && player.onGround) {
-      player.vy = JUMP_SPEED; player.onGround = false; inp.jumpBuffer = 0;
-    } else if (inp.jumpBuffer > 0) { inp.jumpBuffer--; }
+  for (const [id, player] of room.players) {
+    const inp = room.inputs.get(id) || newInputState();
+    // One queued command per tick, in sequence order. An empty queue means
+    // the client is late — keep holding its last input.
+    const cmd = inp.queue.shift();
+    if (cmd) {
+      applyCommand(inp, cmd);
+      inp.lastSeq = cmd.seq; inp.clientTick = cmd.tick; inp.viewTick = cmd.view;
+    }
+    if (room.recording) recordInput(room.recording, room.tick, player, inp, !!cmd);
 
-    resolvePlatformCollisions(player, map);
-    checkTeleporters(player, map);
+    stepPlayer(player, inp, map, room.world);
     if (player.tagCooldown > 0) player.tagCooldown--;
+    if (!player.eliminated) recordPosition(player, room.tick);
   }
 
-  // Tag detection
-  const itP = room.players.get(room.itPlayerId);
-  if (itP && itP.tagCooldown === 0) {
-    const itCx = itP.x + PLAYER_W/2, itCy = itP.y + PLAYER_H/2;
-    for (const [id, player] of room.players) {
-      if (id === room.itPlayerId || player.tagCooldown > 0) continue;
-      if (Math.hypot(itCx - (player.x + PLAYER_W/2), itCy - (player.y + PLAYER_H/2)) < TAG_DIST) {
-        itP.isIt = false; itP.tagCooldown = TAG_COOLDOWN;
-        player.isIt = true; player.tagCooldown = 0; player.timesTagged++;
-        room.itPlayerId = id;
-        io.to(room.code).emit('tagged', { newItId:id, oldItId:itP.id, newItName:player.name });
-        break;
-      }
-    }
-  }
+  // Round stats see roles as they stood while this tick's movement happened
+  for (const [, player] of room.players) trackTick(player);
+
+  const mode = getMode(room), ctx = modeContext(room);
+  syncWorld(room);
+  tickPowerups(room, ctx);
+  detectContacts(room, mode, ctx);
+  mode.tick(room, ctx);
+  if (room.recording) recordRoles(room.recording, room.tick, room.players.values());
+  const reason = mode.checkEnd(room);
+  if (reason) { endGame(room, reason); return; }
+  syncModeHud(room, mode);
 
   // Timer
-  room.tick++;
   if (room.tick % TICK_RATE === 0) { room.timer--; if (room.timer <= 0) { endGame(room, 'timeout'); return; } }
 
-  // Broadcast state
+  if (room.tick % SNAPSHOT_EVERY === 0) broadcastState(room);
+}
+
+// ─── State Broadcast ─────────────────────────────────────────────────────────
+// Per-socket network state: negotiated protocol plus, for binary clients, the
+// snapshots we've sent and the newest one they acknowledged.
+const netStates = new Map();
+
+function getNetState(socketId) {
+  let net = netStates.get(socketId);
+  if (!net) {
+    net = { protocol:PROTOCOL_JSON, history:new Map(), acked:0, rosterVersion:-1 };
+    netStates.set(socketId, net);
+  }
+  return net;
+}
+
+function resetNetState(net) { net.history.clear(); net.acked = 0; net.rosterVersion = -1; }
+
+// Only ids we actually sent (and still hold) can become a delta base.
+function ackSnapshot(socketId, id) {
+  const net = netStates.get(socketId);
+  if (net && net.history.has(id) && id > net.acked) net.acked = id;
+}
+
+// Spectators get the same stream with no self (selfId null / NO_SLOT)
+function broadcastState(room) {
+  let json = null, quantized = null;
+  const hidden = hiddenPlayers(room);
+  const viewers = [...room.players.values()].filter(p => p.socketId).concat([...room.spectators.values()]);
+  for (const v of viewers) {
+    const sock = io.sockets.sockets.get(v.socketId);
+    if (!sock) continue;
+    const self = room.players.get(v.id) || null;
+    const net = getNetState(sock.id);
+    if (net.protocol === PROTOCOL_BINARY) {
+      quantized ??= quantizeRoom(room);
+      sendSnapshot(room, sock, net, viewFor(room, self, quantized, hidden), self);
+    } else {
+      json ??= jsonPlayers(room);
+      // Send each client their own socket ID as selfId.
+      // Fixes: if myId is ever stale, state.players[myId] returns undefined,
+      // localPlayer never seeds, and the player appears to jump every server tick.
+      sock.emit('gameState', { players:viewFor(room, self, json, hidden), timer:room.timer, itPlayerId:room.itPlayerId, tick:room.tick, selfId:self ? self.id : null });
+    }
+  }
+}
+
+// An invisible player's position isn't sent to anyone else — not even
+// spectators, who could pass it on. They're told it stands still where it
+// vanished until the effect wears off. → [[player, what others are told]]
+function hiddenPlayers(room) {
+  const hidden = [];
+  for (const p of room.players.values()) {
+    if (p.effect !== 'invisible') { p.lastSeen = null; continue; }
+    p.lastSeen ??= { x:p.x, y:p.y };
+    hidden.push([p, { ...p, ...p.lastSeen, vx:0, vy:0 }]);
+  }
+  return hidden;
+}
+
+// What `self` (null for spectators) is sent: `all` — quantizeRoom's Map or
+// jsonPlayers' object — or, with someone else hidden, a copy telling where
+// they were last seen instead
+function viewFor(room, self, all, hidden) {
+  const others = hidden.filter(([p]) => p !== self);
+  if (!others.length) return all;
+  const binary = all instanceof Map, copy = binary ? new Map(all) : { ...all };
+  for (const [p, shown] of others) {
+    const inp = room.inputs.get(p.id);
+    if (binary) copy.set(p.slot, quantizePlayer(shown, inp)); else copy[p.id] = jsonPlayer(shown, inp);
+  }
+  return copy;
+}
+
+function jsonPlayers(room) {
   const players = {};
-  for (const [id, p] of room.players) {
-    players[id] = {
-      id:p.id, name:p.name, color:p.color,
-      x:Math.round(p.x*10)/10, y:Math.round(p.y*10)/10,
-      vx:Math.round(p.vx), vy:Math.round(p.vy),
-      onGround:p.onGround, isIt:p.isIt, tagCooldown:p.tagCooldown,
-      facingRight:p.facingRight,
-    };
+  for (const [id, p] of room.players) players[id] = jsonPlayer(p, room.inputs.get(id));
+  return players;
+}
+
+function jsonPlayer(p, inp) {
+  const player = {
+    id:p.id, name:p.name, color:p.color,
+    x:Math.round(p.x*10)/10, y:Math.round(p.y*10)/10,
+    vx:Math.round(p.vx), vy:Math.round(p.vy),
+    onGround:p.onGround, isIt:p.isIt, tagCooldown:p.tagCooldown,
+    teleportCooldown:p.teleportCooldown, facingRight:p.facingRight,
+    frozen:p.frozen, eliminated:p.eliminated,
+    effect:p.effect ?? null, effectTicks:p.effectTicks || 0, stunTicks:p.stunTicks || 0, stunned:p.stunTicks > 0, airJumps:p.airJumps || 0,
+  };
+  // Last processed input seq + buffered jump, so the owner can rewind to
+  // this state and replay its unacknowledged inputs
+  if (inp) { player.seq = inp.lastSeq; player.jumpBuffer = inp.jumpBuffer; }
+  return player;
+}
+
+function quantizeRoom(room) {
+  const players = new Map();
+  for (const [id, p] of room.players) players.set(p.slot, quantizePlayer(p, room.inputs.get(id)));
+  return players;
+}
+
+function sendSnapshot(room, sock, net, players, self) {
+  if (net.rosterVersion !== room.rosterVersion) {
+    // Slots may now belong to someone else — start over from a full snapshot
+    resetNetState(net);
+    net.rosterVersion = room.rosterVersion;
+    sock.emit('roster', {
+      version:room.rosterVersion,
+      players:[...room.players.values()].map(p => ({ slot:p.slot, id:p.id, name:p.name, color:p.color })),
+    });
   }
-  // Send each client their own socket ID as selfId.
-  // Fixes: if myId is ever stale, state.players[myId] returns undefined,
-  // localPlayer never seeds, and the player appears to jump every server tick.
-  for (const [id] of room.players) {
-    const sock = io.sockets.sockets.get(id);
-    if (sock) sock.emit('gameState', { players, timer:room.timer, itPlayerId:room.itPlayerId, tick:room.tick, selfId:id });
+  const snap = {
+    id:room.tick, timer:room.timer, players,
+    itSlot:room.players.get(room.itPlayerId)?.slot ?? NO_SLOT,
+    selfSlot:self ? self.slot : NO_SLOT,
+  };
+  const base = net.acked ? net.history.get(net.acked) : null;
+  sock.emit('snap', encodeSnapshot(snap, base));
+  net.history.set(snap.id, snap);
+  if (net.history.size > SNAPSHOT_HISTORY) net.history.delete(net.history.keys().next().value);
+}
+
+// ─── Lag Compensation ────────────────────────────────────────────────────────
+function recordPosition(player, tick) {
+  player.posHistory.push({ tick, x:player.x, y:player.y });
+  if (player.posHistory.length > LAG_COMP_TICKS + 1) player.posHistory.shift();
+}
+
+// Latest recorded position at or before `tick`, or null if it's been trimmed.
+function positionAt(player, tick) {
+  const h = player.posHistory;
+  for (let i = h.length - 1; i >= 0; i--) if (h[i].tick <= tick) return h[i];
+  return null;
+}
+
+function inTagRange(a, b) {
+  return Math.hypot((a.x + PLAYER_W/2) - (b.x + PLAYER_W/2), (a.y + PLAYER_H/2) - (b.y + PLAYER_H/2)) < TAG_DIST;
+}
+
+// Every ordered pair (a, b) the mode cares about is checked with `a` at its
+// current position (it's predicted on a's own screen) against `b` both now
+// and — if that misses — at the tick a's client was rendering when it sent
+// its last input.
+function detectContacts(room, mode, ctx) {
+  for (const [, a] of room.players) {
+    if (a.eliminated) continue;
+    const viewTick = room.inputs.get(a.id)?.viewTick || 0;
+    const rewind   = viewTick > 0 ? Math.max(0, Math.min(LAG_COMP_TICKS, room.tick - viewTick)) : 0;
+    for (const [, b] of room.players) {
+      if (a === b || b.eliminated) continue;
+      // Re-asked per pair: an earlier contact this tick may have changed roles
+      const kind = mode.contact(room, a, b);
+      if (!kind) continue;
+      let compensated = false;
+      if (!inTagRange(a, b)) {
+        const past = rewind > 0 && positionAt(b, room.tick - rewind);
+        if (!past || !inTagRange(a, past)) continue;
+        compensated = true;
+      }
+      if (kind !== 'rescue' && shielded(b)) { blockTag(a, b, ctx); continue; }
+      const lagComp = { applied:compensated, rewindTicks:compensated ? rewind : 0, rewindMs:compensated ? Math.round(rewind * 1000 / TICK_RATE) : 0 };
+      mode.onContact(room, a, b, kind, ctx, lagComp);
+    }
   }
 }
 
+// ─── Modes ───────────────────────────────────────────────────────────────────
+// Everything a mode announces also goes into the round's recording
+function modeContext(room) {
+  return {
+    emit:(event, data) => {
+      if (room.recording) recordEvent(room.recording, room.tick, event, data);
+      io.to(room.code).emit(event, data);
+    },
+  };
+}
+
+// Crumbling platforms started by anyone, for clients to predict against.
+// Moving platforms need nothing: they follow the tick. Like the mode HUD,
+// only sent when it changes.
+function syncWorld(room) {
+  const key = JSON.stringify(room.world.crumble);
+  if (key === room.worldKey) return;
+  room.worldKey = key;
+  io.to(room.code).emit('world', room.world);
+}
+
+// Mode HUD info (fuse, frozen count, ...) only goes out when it changes
+function syncModeHud(room, mode) {
+  const hud = { mode:room.mode, ...mode.hud(room) };
+  const key = JSON.stringify(hud);
+  if (key === room.modeHudKey) return;
+  room.modeHudKey = key;
+  io.to(room.code).emit('modeUpdate', hud);
+}
+
+// Input commands are {seq, tick, view, left, right, jump}: seq increments once per
+// client fixed tick, tick is the client's own tick counter and view is the
+// server tick the client was rendering other players at. Stale or duplicate
+// seqs are ignored.
+function queueInput(room, id, input) {
+  const cur = room.inputs.get(id);
+  if (!cur) return;
+  const last = cur.queue.length ? cur.queue[cur.queue.length - 1].seq : cur.lastSeq;
+  // Clients from before sequenced inputs send bare {left,right,jump}; each
+  // one goes next in line
+  const seq = input.seq === undefined ? last + 1 : Number(input.seq);
+  if (!Number.isInteger(seq) || seq <= 0 || seq <= last) return;
+  cur.queue.push({
+    seq, tick:Number(input.tick) || 0, view:Math.floor(Number(input.view)) || 0,
+    left:!!input.left, right:!!input.right, jump:!!input.jump,
+  });
+  if (cur.queue.length > MAX_INPUT_QUEUE) cur.queue.shift();
+}
+
 function endGame(room, reason) {
-  stopGameLoop(room); room.status = 'ended';
-  const results = [...room.players.values()].map(p => ({
-    id:p.id, name:p.name, color:p.color, isIt:p.isIt, timesTagged:p.timesTagged, won:!p.isIt,
-  })).sort((a,b) => (b.won?1:0)-(a.won?1:0));
-  io.to(room.code).emit('gameEnd', { reason, results });
-  setTimeout(() => {
+  stopGameLoop(room);
+  // Rounds started outside a match (tests, old clients) count as a 1-round match
+  const match   = room.match || (room.match = newMatch(1));
+  const results = scoreRound(room, getMode(room).results(room, reason));
+  recordProfiles(room, results, match.round === 1);
+  addRound(match, results);
+  const final = reason === 'not_enough_players' || reason === 'admin_ended' || match.round >= match.rounds;
+  room.status  = final ? 'ended' : 'intermission';
+  room.lastEnd = {
+    reason, mode:room.mode, results,
+    match:{ round:match.round, rounds:match.rounds, final, standings:standings(match), nextInMs:final ? PODIUM_MS : INTERMISSION_MS },
+  };
+  if (room.recording) {
+    room.lastEnd.replayId = saveReplay(finishRecording(room.recording, room.tick, reason, results));
+    room.recording = null;
+  }
+  io.to(room.code).emit('gameEnd', room.lastEnd);
+  clearTimeout(room.phaseTimer);
+  room.phaseTimer = setTimeout(() => {
+    room.phaseTimer = null;
     if (!rooms.has(room.code)) return;
-    room.status='lobby'; room.timer=room.roundDuration; room.itPlayerId=null;
-    for (const [,p] of room.players) { p.isIt=false; p.tagCooldown=0; p.timesTagged=0; }
-    io.to(room.code).emit('returnToLobby', getRoomLobbyData(room));
-  }, 6000);
+    if (final || room.players.size < 2) return returnToLobby(room);
+    match.round++;
+    startCountdown(room);
+  }, final ? PODIUM_MS : INTERMISSION_MS);
+}
+
+// Lifetime stats for claimed players; their result rows carry the change
+// for the end screen
+function recordProfiles(room, results, newGame) {
+  const entries = results.map(row => ({ key:room.players.get(row.id)?.profile, row })).filter(e => e.key);
+  if (!entries.length) return;
+  const mapName = room.mapIndex === CUSTOM_MAP ? null : roomMap(room).name;
+  const changes = recordRound(profiles, entries, { mapName, newGame });
+  for (const { key, row } of entries) if (changes.has(key)) row.profile = changes.get(key);
+}
+
+function saveReplay(data) {
+  if (!REPLAY_KEEP) return null;
+  replays.set(data.id, data);
+  while (replays.size > REPLAY_KEEP) replays.delete(replays.keys().next().value);
+  return data.id;
+}
+
+function returnToLobby(room) {
+  clearTimeout(room.phaseTimer); room.phaseTimer = null;
+  room.status='lobby'; room.timer=room.roundDuration; room.itPlayerId=null;
+  room.match = null; room.lastEnd = null; room.recording = null;
+  for (const [,p] of room.players) { clearRoles(p); p.tagCooldown=0; }
+  promoteSpectators(room, { replaceBots:true });
+  io.to(room.code).emit('returnToLobby', getRoomLobbyData(room));
+  checkAutoStart(room);
 }
 
 function stopGameLoop(room) { if (room.gameInterval) { clearInterval(room.gameInterval); room.gameInterval=null; } }
 
+// Lobby map picker: built-ins by index, plus the room's upload if it has one
+function mapList(room) {
+  const list = MAPS.map((m, i) => ({ index:i, name:m.name, theme:m.theme }));
+  if (room.customMap) list.push({ index:CUSTOM_MAP, name:room.customMap.name, theme:room.customMap.theme, custom:true });
+  return list;
+}
+
+function settingsData(room) {
+  return { mapIndex:room.mapIndex, roundDuration:room.roundDuration, mode:room.mode, rounds:room.rounds, public:room.public, maps:mapList(room) };
+}
+
 function getRoomLobbyData(room) {
   return {
     code:room.code, host:room.host, status:room.status,
-    mapIndex:room.mapIndex, roundDuration:room.roundDuration,
-    players:[...room.players.values()].map(p=>({id:p.id,name:p.name,color:p.color,colorIndex:p.colorIndex})),
+    mapIndex:room.mapIndex, roundDuration:room.roundDuration, mode:room.mode, rounds:room.rounds,
+    public:room.public, maps:mapList(room),
+    players:[...room.players.values()].map(p=>({
+      id:p.id,name:p.name,color:p.color,colorIndex:p.colorIndex,connected:!!p.socketId||p.isBot,
+      bot:p.isBot?p.bot.difficulty:null, muted:p.muted,
+    })),
+    spectators:[...room.spectators.values()].map(s=>({id:s.id,name:s.name,muted:s.muted})),
+    bans:room.bans.map(b=>({id:b.id,name:b.name})),
+  };
+}
+
+// Everything a client arriving mid-game needs to rebuild the current screen
+function gameInfo(room) {
+  if (room.status === 'lobby') return null;
+  return {
+    status:room.status, mapIndex:room.mapIndex, map:roomMap(room), roundDuration:room.roundDuration,
+    itPlayerId:room.itPlayerId, timer:room.timer, mode:room.mode,
+    modeHud:{ mode:room.mode, ...getMode(room).hud(room) },
+    round:room.match?.round ?? 1, rounds:room.match?.rounds ?? 1, lastEnd:room.lastEnd,
+    world:room.world ?? null, powerups:powerupData(room.powerups),
+  };
+}
+
+// After a player leaves for good: tell the room, and in the lobby let the
+// next spectator in line have the slot
+function announceLeft(r, playerId) {
+  if (!r || !rooms.has(r.code)) return;
+  io.to(r.code).emit('playerLeft', {playerId,room:getRoomLobbyData(r.room)});
+  if (r.room.status === 'lobby' && promoteSpectators(r.room).length) io.to(r.code).emit('playerJoined', getRoomLobbyData(r.room));
+  checkAutoStart(r.room);
+}
+
+// ─── Public Rooms & Quick Play ───────────────────────────────────────────────
+// Public rooms are listed in the room browser and filled by Quick Play
+// (lib/matchmaking.js). Once a public lobby is full its match starts after
+// AUTO_START_MS — room.phaseTimer is free while in the lobby. Anything that
+// frees a seat or makes the room private calls it off.
+function checkAutoStart(room) {
+  if (room.status !== 'lobby') return;
+  const full = room.public && room.players.size >= MAX_PLAYERS;
+  if (full && !room.phaseTimer) {
+    room.phaseTimer = setTimeout(() => {
+      room.phaseTimer = null;
+      if (rooms.has(room.code) && room.status === 'lobby' && room.players.size >= 2) startMatch(room);
+    }, AUTO_START_MS);
+    io.to(room.code).emit('autoStart', { inMs:AUTO_START_MS });
+  } else if (!full && room.phaseTimer) {
+    clearTimeout(room.phaseTimer); room.phaseTimer = null;
+    io.to(room.code).emit('autoStart', { inMs:null });
+  }
+}
+
+// Room browser rows: lobbies with a free seat first, then oldest first
+function publicRooms() {
+  const list = [...rooms.values()].filter(r => r.public).sort((a, b) =>
+    (b.status === 'lobby' && b.players.size < MAX_PLAYERS) - (a.status === 'lobby' && a.players.size < MAX_PLAYERS) || a.createdAt - b.createdAt);
+  return list.map(r => ({
+    code:r.code, host:r.players.get(r.host)?.name ?? '', status:r.status, mode:r.mode, map:roomMap(r).name,
+    players:r.players.size, bots:r.players.size - humanCount(r), maxPlayers:MAX_PLAYERS, spectators:r.spectators.size,
+  }));
+}
+
+// Rating of the player behind a claimed profile key (null for guests)
+function playerRating(key) {
+  return key ? skillRating(profiles.profiles.get(key)?.stats) : null;
+}
+
+// The open public lobby that best fits this player, or null
+function quickPlayRoom(profileKey, address = null) {
+  const lobbies = [...rooms.values()]
+    .filter(r => r.public && r.status === 'lobby' && !isBanned(r, profileKey, address))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(r => ({
+      code:r.code, open:MAX_PLAYERS - r.players.size,
+      skill:lobbyRating([...r.players.values()].filter(p => !p.isBot).map(p => playerRating(p.profile))),
+    }));
+  return rooms.get(pickLobby(lobbies, playerRating(profileKey))) || null;
+}
+
+// ─── Moderation ──────────────────────────────────────────────────────────────
+// The host can kick, ban and mute players and spectators. A ban is kept on
+// the room and matches the banned person's profile or network address, so a
+// new name doesn't get them back in; the host can lift it from the lobby.
+function clientAddress(socket) {
+  const forwarded = TRUST_PROXY && socket.handshake?.headers?.['x-forwarded-for'];
+  return forwarded ? String(forwarded).split(',')[0].trim() : socket.handshake?.address ?? null;
+}
+
+function isBanned(room, profileKey, address) {
+  return room.bans.some(b => (profileKey && b.profile === profileKey) || (address && b.address === address));
+}
+
+// Anyone in the room by id: { player } or { spectator }, or {}
+function roomMember(room, id) {
+  const player = room.players.get(id);
+  if (player) return { player };
+  const spectator = room.spectators.get(id);
+  return spectator ? { spectator } : {};
+}
+
+// Remove a player or spectator at the host's say-so; reason 'kick' or 'ban'
+function expel(room, id, reason) {
+  const { player, spectator } = roomMember(room, id);
+  const socketId = (player || spectator)?.socketId;
+  if (socketId) {
+    io.to(socketId).emit('kicked', { reason });
+    io.sockets.sockets.get(socketId)?.leave(room.code);
+  }
+  if (spectator) {
+    removeSpectator(room, id);
+    io.to(room.code).emit('spectatorsChanged', getRoomLobbyData(room));
+  } else if (player) announceLeft(removePlayerFromRoom(room, id), id);
+}
+
+function banMember(room, id) {
+  const who = Object.values(roomMember(room, id))[0];
+  if (!who) return null;
+  const ban = { id:crypto.randomBytes(6).toString('hex'), name:who.name, profile:who.profile ?? null, address:who.address ?? null };
+  room.bans.push(ban);
+  expel(room, id, 'ban');
+  return ban;
+}
+
+// ─── Event Guard ─────────────────────────────────────────────────────────────
+// Every client event passes a per-socket token-bucket rate limit
+// (lib/ratelimit.js) and its payload schema (lib/validate.js) before its
+// handler runs. What fails is dropped — with an error to the callback, or a
+// 'rejected' event when there is none — and logged. Sockets that keep
+// getting turned away are disconnected.
+const ROOM_CODE  = string({ min:4, max:4 });
+const NAME       = string({ min:1, max:12, trim:true });
+const TOKEN      = string({ max:128, optional:true });
+const MEMBER_ID  = string({ min:1, max:32 });
+const EVENT_SCHEMAS = {
+  createRoom:    object({ name:NAME, mapIndex:int({ min:0, max:MAPS.length - 1, optional:true }), roundDuration:oneOf(ROUND_DURATIONS, { optional:true }), deviceToken:TOKEN }),
+  joinRoom:      object({ name:NAME, code:ROOM_CODE, deviceToken:TOKEN }),
+  spectateRoom:  object({ name:NAME, code:ROOM_CODE, deviceToken:TOKEN }),
+  quickPlay:     object({ name:NAME, deviceToken:TOKEN }),
+  resumeSession: object({ token:string({ max:64 }) }),
+  hello:         object({ protocol:int({ min:0, max:255, optional:true }) }, { optional:true }),
+  snapAck:       int({ min:0 }),
+  input:         object({
+    seq:int({ min:1, optional:true }), tick:int({ min:0, optional:true }), view:int({ optional:true }), ack:int({ min:0, optional:true }),
+    left:bool(), right:bool(), jump:bool(),
+  }),
+  changeSettings: object({
+    mapIndex:int({ min:CUSTOM_MAP, max:MAPS.length - 1, optional:true }), roundDuration:oneOf(ROUND_DURATIONS, { optional:true }),
+    mode:oneOf(Object.keys(MODES), { optional:true }), rounds:oneOf(MATCH_ROUNDS, { optional:true }), public:bool({ optional:true }),
+  }),
+  addBot:        object({ difficulty:oneOf(Object.keys(DIFFICULTIES)) }),
+  removeBot:     object({ playerId:MEMBER_ID }),
+  kickPlayer:    object({ playerId:MEMBER_ID }),
+  banPlayer:     object({ playerId:MEMBER_ID }),
+  unbanPlayer:   object({ banId:MEMBER_ID }),
+  mutePlayer:    object({ playerId:MEMBER_ID, muted:bool() }),
+  ping:          int({ min:0, max:60000, optional:true }),
+  uploadMap:     string({ max:MAX_MAP_BYTES }),
+  chatMsg:       string({ min:1, max:500, trim:true }),
+};
+// { rate per second, burst }. Clients send one input per 60Hz tick.
+const RATE_LIMITS = {
+  default:   { rate:5,   burst:20 },
+  input:     { rate:90,  burst:120 },
+  snapAck:   { rate:60,  burst:90 },
+  chatMsg:   { rate:0.5, burst:4 },
+  uploadMap: { rate:0.2, burst:3 },
+};
+// This many rejections within FLOOD_WINDOW_MS disconnects the socket
+const FLOOD_LIMIT     = 200;
+const FLOOD_WINDOW_MS = 10000;
+// Rejected and suspicious events, oldest first. A repeat of the same event
+// and reason from one socket within REJECT_LOG_WINDOW_MS bumps the earlier
+// entry's count instead of adding one.
+const REJECT_LOG_KEEP      = 500;
+const REJECT_LOG_WINDOW_MS = 5000;
+const rejectLog = [];
+
+// → true when this is a new log entry (not a counted repeat)
+function logEvent(socket, event, kind, reason) {
+  const now = Date.now();
+  const prev = rejectLog.findLast(e => e.socketId === socket.id && e.event === event && e.reason === reason);
+  if (prev && now - prev.lastAt < REJECT_LOG_WINDOW_MS) { prev.count++; prev.lastAt = now; recordRejected(metrics, kind); return false; }
+  const { room, player, spectator } = boundRoom(socket.id);
+  const entry = {
+    at:new Date(now).toISOString(), lastAt:now, kind, event, reason, count:1,
+    socketId:socket.id, address:clientAddress(socket), room:room?.code ?? null, name:(player || spectator)?.name ?? null,
   };
+  recordRejected(metrics, kind);
+  rejectLog.push(entry);
+  if (rejectLog.length > REJECT_LOG_KEEP) rejectLog.shift();
+  console.warn(`[!] ${kind} ${event} from ${socket.id}${entry.room ? ' in ' + entry.room : ''}: ${reason}`);
+  return true;
 }
 
+function guardEvents(socket) {
+  const limiter = newLimiter(RATE_LIMITS);
+  let strikes = 0, strikesSince = Date.now();
+
+  // Drop an event, tell the client and log it
+  function reject(event, reason, cb, message = reason) {
+    const fresh = logEvent(socket, event, 'rejected', reason);
+    if (cb) cb({ error:message });
+    else if (fresh) socket.emit('rejected', { event, error:message });
+    const now = Date.now();
+    if (now - strikesSince > FLOOD_WINDOW_MS) { strikes = 0; strikesSince = now; }
+    if (++strikes === FLOOD_LIMIT) { logEvent(socket, event, 'disconnected', 'flooding'); socket.disconnect(true); }
+  }
+
+  // Handlers get (payload, cb) — or just (cb) for events without a schema —
+  // and cb is always callable
+  const on = (event, handler) => socket.on(event, (...args) => {
+    const cb = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    if (!limiter.allow(event)) return reject(event, 'rate limited', cb, 'Too many requests — slow down');
+    const reply = cb || (() => {});
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return handler(reply);
+    const r = schema(args[0] === cb ? undefined : args[0]);
+    if (!r.ok) return reject(event, r.error, cb, r.error[0].toUpperCase() + r.error.slice(1));
+    handler(r.value, reply);
+  });
+  return { on, reject };
+}
+
+// Name checks shared by everything that puts a name in a room
+function claimPlayerName(name, deviceToken) {
+  if (chatFilter.offensive(name)) return { ok:false, error:'Please pick another name' };
+  return claimName(profiles, name, deviceToken);
+}
+
+// ─── Operations ──────────────────────────────────────────────────────────────
+const ANNOUNCEMENT = object({ message:string({ min:1, max:200, trim:true }), code:string({ min:4, max:4, optional:true }) });
+// Wrong passwords draw from a per-address bucket, so guessing is slow; an
+// address with an empty bucket is turned away before its password is checked
+const ADMIN_FAIL_LIMIT = { rate:0.2, burst:10 };
+const ADMIN_FAIL_ADDRESSES = 1000;
+const adminFailures = new Map();   // address → bucket, least recent failure first
+
+// Forget addresses whose bucket has filled up again; if that isn't enough,
+// the ones that failed longest ago go first
+function pruneAdminFailures(now) {
+  for (const [address, bucket] of adminFailures) if (refill(bucket, now) >= bucket.burst) adminFailures.delete(address);
+  for (const address of adminFailures.keys()) {
+    if (adminFailures.size < ADMIN_FAIL_ADDRESSES) break;
+    adminFailures.delete(address);
+  }
+}
+
+const digest = s => crypto.createHash('sha256').update(s).digest();
+
+function adminAuth(req, res, next) {
+  if (!ADMIN_PASSWORD) return res.status(404).type('text').send('Set ADMIN_PASSWORD to enable this page');
+  const address = (TRUST_PROXY && String(req.headers['x-forwarded-for'] || '').split(',')[0].trim()) || req.socket.remoteAddress;
+  const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+  const password = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString().split(':').slice(1).join(':') : null;
+  const now = Date.now(), failures = adminFailures.get(address);
+  if (failures && refill(failures, now) < 1) return res.status(429).send('Too many attempts');
+  if (password !== null && crypto.timingSafeEqual(digest(password), digest(ADMIN_PASSWORD))) return next();
+  if (password !== null) {
+    // Re-inserted so the map stays ordered by latest failure
+    adminFailures.delete(address);
+    if (adminFailures.size >= ADMIN_FAIL_ADDRESSES) pruneAdminFailures(now);
+    adminFailures.set(address, failures ?? newBucket(ADMIN_FAIL_LIMIT, now));
+    take(adminFailures.get(address), now);
+    console.warn(`[!] admin login failed from ${address}`);
+  }
+  res.set('WWW-Authenticate', 'Basic realm="Tag admin"').status(401).send('Authentication required');
+}
+
+// A room as the admin page shows it, addresses and all
+function adminRoomData(room) {
+  return {
+    code:room.code, status:room.status, public:room.public, mode:room.mode, map:roomMap(room).name,
+    round:room.match?.round ?? null, rounds:room.rounds, timer:room.timer, createdAt:new Date(room.createdAt).toISOString(),
+    players:[...room.players.values()].map(p => ({
+      id:p.id, name:p.name, host:p.id === room.host, bot:p.isBot ? p.bot.difficulty : null, connected:!!p.socketId || p.isBot,
+      it:p.isIt, muted:p.muted, profile:p.profile, address:p.address, rtt:p.rtt ?? null,
+    })),
+    spectators:[...room.spectators.values()].map(s => ({ id:s.id, name:s.name, muted:s.muted, address:s.address, rtt:s.rtt ?? null })),
+    bans:room.bans.map(b => ({ name:b.name, profile:b.profile, address:b.address })),
+  };
+}
+
+// Stop whatever the room is playing: a running round ends (and with it the
+// match), a countdown or intermission goes back to the lobby
+function adminEndGame(room) {
+  if (room.status === 'playing') { endGame(room, 'admin_ended'); return true; }
+  if (room.status === 'countdown' || room.status === 'intermission') { returnToLobby(room); return true; }
+  return false;
+}
+
+const ROOM_STATUSES = ['lobby', 'countdown', 'playing', 'intermission', 'ended'];
+
+function renderMetrics() {
+  const all = [...rooms.values()];
+  const players = all.flatMap(r => [...r.players.values()]);
+  const tickQuantiles = [0.5, 0.9, 0.99].map(q => ({ labels:{ quantile:q }, value:percentile(metrics.tickMs, q) / 1000 }));
+  const rtt = [];
+  for (const r of all) {
+    const rtts = [...r.players.values(), ...r.spectators.values()].map(m => m.rtt).filter(v => v > 0);
+    if (!rtts.length) continue;
+    rtt.push({ labels:{ room:r.code, stat:'avg' }, value:rtts.reduce((a, b) => a + b, 0) / rtts.length / 1000 });
+    rtt.push({ labels:{ room:r.code, stat:'max' }, value:Math.max(...rtts) / 1000 });
+  }
+  return formatMetrics([
+    { name:'tag_uptime_seconds', help:'Seconds since the server started', type:'gauge', samples:(Date.now() - metrics.startedAt) / 1000 },
+    { name:'tag_sockets_connected', help:'Open socket connections', type:'gauge', samples:io.engine.clientsCount },
+    { name:'tag_rooms', help:'Rooms by status', type:'gauge',
+      samples:ROOM_STATUSES.map(status => ({ labels:{ status }, value:all.filter(r => r.status === status).length })) },
+    { name:'tag_players', help:'Players in rooms by kind', type:'gauge', samples:[
+      { labels:{ kind:'human' }, value:players.filter(p => !p.isBot && p.socketId).length },
+      { labels:{ kind:'reconnecting' }, value:players.filter(p => !p.isBot && !p.socketId).length },
+      { labels:{ kind:'bot' }, value:players.filter(p => p.isBot).length },
+    ] },
+    { name:'tag_spectators', help:'Spectators in rooms', type:'gauge', samples:all.reduce((n, r) => n + r.spectators.size, 0) },
+    { name:'tag_ticks_total', help:'Game ticks run', type:'counter', samples:metrics.ticks },
+    { name:'tag_missed_ticks_total', help:'Ticks the game loop fired too late to run on time', type:'counter', samples:metrics.missedTicks },
+    { name:'tag_tick_duration_seconds', help:`gameTick run time (quantiles over the last ${metrics.tickMs.length} ticks)`, type:'summary', samples:[
+      ...tickQuantiles,
+      { name:'tag_tick_duration_seconds_sum', value:metrics.tickSumMs / 1000 },
+      { name:'tag_tick_duration_seconds_count', value:metrics.ticks },
+    ] },
+    { name:'tag_outbound_bytes_total', help:'Bytes sent to clients', type:'counter', samples:metrics.bytesOut },
+    { name:'tag_outbound_bytes_per_second', help:'Bytes sent to clients per second, recent average', type:'gauge', samples:bytesOutPerSecond(metrics) },
+    { name:'tag_room_rtt_seconds', help:'Round-trip time reported by clients\' pings, per room', type:'gauge', samples:rtt },
+    { name:'tag_rejected_events_total', help:'Socket events rejected or flagged, by kind', type:'counter',
+      samples:Object.entries(metrics.rejected).map(([kind, value]) => ({ labels:{ kind }, value })) },
+    { name:'tag_replays_stored', help:'Round recordings held for /replays', type:'gauge', samples:replays.size },
+    { name:'tag_profiles', help:'Claimed profiles', type:'gauge', samples:profiles.profiles.size },
+  ]);
+}
+
+// Everything engine.io writes to a client, binary attachments included
+const packetBytes = data => data === undefined ? 0 : typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength ?? 0;
+io.engine.on('connection', conn => conn.on('packetCreate', packet => recordBytesOut(metrics, packetBytes(packet.data) + 1)));
+
 // ─── Socket Events ───────────────────────────────────────────────────────────
 io.on('connection', (socket) => {
   console.log(`[+] ${socket.id}`);
+  const { on, reject } = guardEvents(socket);
 
-  socket.on('createRoom', ({name,mapIndex=0,roundDuration=90},cb) => {
-    if (socketToRoom.has(socket.id)) return cb({error:'Already in a room'});
-    if (!name?.trim()) return cb({error:'Name required'});
-    cb({success:true, room:getRoomLobbyData(createRoom(socket,name.trim(),mapIndex,roundDuration))});
+  on('createRoom', ({name,mapIndex=0,roundDuration=90,deviceToken},cb) => {
+    if (socketBindings.has(socket.id)) return cb({error:'Already in a room'});
+    const claim = claimPlayerName(name, deviceToken);
+    if (!claim.ok) return cb({error:claim.error});
+    const { room, player } = createRoom(socket,name,mapIndex,roundDuration);
+    player.profile = claim.key;
+    cb({success:true, room:getRoomLobbyData(room), playerId:player.id, sessionToken:player.sessionToken});
   });
 
-  socket.on('joinRoom', ({name,code},cb) => {
-    if (socketToRoom.has(socket.id)) return cb({error:'Already in a room'});
-    if (!name?.trim()) return cb({error:'Name required'});
-    const room = rooms.get(code?.toUpperCase());
+  on('joinRoom', ({name,code,deviceToken},cb) => {
+    if (socketBindings.has(socket.id)) return cb({error:'Already in a room'});
+    const room = rooms.get(code.toUpperCase());
     if (!room)                            return cb({error:'Room not found'});
-    if (room.status !== 'lobby')          return cb({error:'Game in progress'});
-    if (room.players.size >= MAX_PLAYERS) return cb({error:'Room full'});
-    const ci = room.players.size;
-    addPlayerToRoom(room, socket, name.trim(), ci, MAPS[room.mapIndex].spawns[ci]);
+    const claim = claimPlayerName(name, deviceToken);
+    if (!claim.ok)                        return cb({error:claim.error});
+    if (isBanned(room, claim.key, clientAddress(socket))) return cb({error:'You are banned from this room'});
+    if (room.status !== 'lobby')          return cb({error:'Game in progress', canSpectate:true});
+    if (room.players.size >= MAX_PLAYERS) return cb({error:'Room full', canSpectate:true});
+    const slot   = freeSlot(room);
+    const player = addPlayerToRoom(room, socket, name, slot, roomMap(room).spawns[slot]);
+    player.profile = claim.key;
     const ld = getRoomLobbyData(room);
     socket.to(room.code).emit('playerJoined', ld);
-    cb({success:true, room:ld});
+    cb({success:true, room:ld, playerId:player.id, sessionToken:player.sessionToken});
+    checkAutoStart(room);
   });
 
-  socket.on('input', (input) => {
-    const room = rooms.get(socketToRoom.get(socket.id));
+  // Seat the player in the best open public lobby, or open a new one
+  on('quickPlay', ({name,deviceToken}, cb) => {
+    if (socketBindings.has(socket.id)) return cb({error:'Already in a room'});
+    const claim = claimPlayerName(name, deviceToken);
+    if (!claim.ok) return cb({error:claim.error});
+    let room = quickPlayRoom(claim.key, clientAddress(socket)), player;
+    if (room) {
+      const slot = freeSlot(room);
+      player = addPlayerToRoom(room, socket, name, slot, roomMap(room).spawns[slot]);
+      socket.to(room.code).emit('playerJoined', getRoomLobbyData(room));
+    } else {
+      ({ room, player } = createRoom(socket, name));
+      room.public = true;
+    }
+    player.profile = claim.key;
+    cb({success:true, room:getRoomLobbyData(room), playerId:player.id, sessionToken:player.sessionToken, created:room.host === player.id});
+    checkAutoStart(room);
+  });
+
+  on('listRooms', (cb) => {
+    cb({rooms:publicRooms()});
+  });
+
+  // Watch a room at any time; spectators are seated from the queue when the
+  // room is next back in the lobby.
+  on('spectateRoom', ({name,code,deviceToken}, cb) => {
+    if (socketBindings.has(socket.id)) return cb({error:'Already in a room'});
+    const room = rooms.get(code.toUpperCase());
+    if (!room)                                   return cb({error:'Room not found'});
+    if (room.spectators.size >= MAX_SPECTATORS)  return cb({error:'Too many spectators'});
+    // Checked now: a spectator may be seated as a player later
+    const claim = claimPlayerName(name, deviceToken);
+    if (!claim.ok)                               return cb({error:claim.error});
+    if (isBanned(room, claim.key, clientAddress(socket))) return cb({error:'You are banned from this room'});
+    const spectator = addSpectator(room, socket, name, claim.key);
+    const ld = getRoomLobbyData(room);
+    socket.to(room.code).emit('spectatorsChanged', ld);
+    cb({success:true, room:ld, spectatorId:spectator.id, game:gameInfo(room)});
+  });
+
+  // Rebind after a dropped connection. The reply carries everything needed
+  // to rebuild the current screen; the next snapshot is a full one.
+  on('resumeSession', ({token}, cb) => {
+    if (socketBindings.has(socket.id)) return cb({error:'Already in a room'});
+    const r = resumeSession(socket, token);
+    if (!r) return cb({error:'Session expired'});
+    const { room, player } = r;
+    cb({ success:true, playerId:player.id, room:getRoomLobbyData(room), game:gameInfo(room) });
+  });
+
+  on('leaveRoom', () => {
+    const { room, playerId, spectator } = boundRoom(socket.id);
+    if (!room) return;
+    if (spectator) {
+      removeSpectator(room, spectator.id);
+      io.to(room.code).emit('spectatorsChanged', getRoomLobbyData(room));
+      return;
+    }
+    socket.leave(room.code);
+    announceLeft(removePlayerFromRoom(room, playerId), playerId);
+  });
+
+  // Protocol negotiation. Clients that never say hello get JSON gameState.
+  on('hello', ({protocol}, cb) => {
+    const net = getNetState(socket.id);
+    net.protocol = protocol >= PROTOCOL_BINARY ? PROTOCOL_BINARY : PROTOCOL_JSON;
+    cb({protocol:net.protocol});
+  });
+
+  // Spectators send no input, so their snapshot acks come on their own
+  on('snapAck', (id) => {
+    if (boundRoom(socket.id).spectator) ackSnapshot(socket.id, id);
+  });
+
+  on('input', (input) => {
+    const { room, playerId } = boundRoom(socket.id);
     if (!room || room.status !== 'playing') return;
-    const cur = room.inputs.get(socket.id);
-    if (!cur) return;
-    if (input.jump && !cur.jump) cur.jumpBuffer = JUMP_BUFFER_TICKS;
-    cur.left = !!input.left; cur.right = !!input.right; cur.jump = !!input.jump;
+    // Lag compensation clamps the rewind anyway, but nobody can honestly be
+    // looking at a tick the server hasn't simulated yet
+    if (input.view > room.tick + SNAPSHOT_EVERY) logEvent(socket, 'input', 'suspicious', 'view tick ahead of the server');
+    queueInput(room, playerId, input);
+    if (input.ack) ackSnapshot(socket.id, input.ack);
   });
 
-  socket.on('startGame', (cb) => {
-    const room = rooms.get(socketToRoom.get(socket.id));
-    if (!room)                   return cb?.({error:'Not in room'});
-    if (room.host !== socket.id) return cb?.({error:'Only host can start'});
-    if (room.status !== 'lobby') return cb?.({error:'Already started'});
-    if (room.players.size < 2)   return cb?.({error:'Need 2+ players'});
-    startCountdown(room); cb?.({success:true});
+  on('startGame', (cb) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room)                  return cb({error:'Not in room'});
+    if (room.host !== playerId) return cb({error:'Only host can start'});
+    // From the final podium the host can go straight into a new match
+    if (room.status !== 'lobby' && room.status !== 'ended') return cb({error:'Already started'});
+    if (room.players.size < 2)   return cb({error:'Need 2+ players'});
+    startMatch(room); cb({success:true});
   });
 
-  socket.on('changeSettings', ({mapIndex,roundDuration}) => {
-    const room = rooms.get(socketToRoom.get(socket.id));
-    if (!room || room.host !== socket.id || room.status !== 'lobby') return;
-    if (mapIndex !== undefined && MAPS[mapIndex]) room.mapIndex = mapIndex;
+  on('changeSettings', ({mapIndex,roundDuration,mode,rounds,public:isPublic}) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room || room.host !== playerId || room.status !== 'lobby') return;
+    if (mapIndex !== undefined && (mapIndex !== CUSTOM_MAP || room.customMap)) room.mapIndex = mapIndex;
     if (roundDuration !== undefined) room.roundDuration = roundDuration;
-    io.to(room.code).emit('settingsChanged', {mapIndex:room.mapIndex,roundDuration:room.roundDuration});
+    if (mode !== undefined) room.mode = mode;
+    if (rounds !== undefined) room.rounds = rounds;
+    if (isPublic !== undefined) room.public = isPublic;
+    io.to(room.code).emit('settingsChanged', settingsData(room));
+    checkAutoStart(room);
   });
 
-  socket.on('chatMsg', (msg) => {
-    const room = rooms.get(socketToRoom.get(socket.id));
-    if (!room) return;
-    const player = room.players.get(socket.id);
-    if (!player) return;
-    io.to(room.code).emit('chatMsg', {name:player.name,color:player.color,msg:String(msg).substring(0,80)});
+  on('addBot', ({difficulty}, cb) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room)                            return cb({error:'Not in room'});
+    if (room.host !== playerId)           return cb({error:'Only host can add bots'});
+    if (room.status !== 'lobby')          return cb({error:'Game in progress'});
+    if (room.players.size >= MAX_PLAYERS) return cb({error:'Room full'});
+    addBotToRoom(room, difficulty);
+    io.to(room.code).emit('playerJoined', getRoomLobbyData(room));
+    cb({success:true});
+    checkAutoStart(room);
+  });
+
+  on('removeBot', ({playerId:botId}) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room || room.host !== playerId || room.status !== 'lobby') return;
+    if (!room.players.get(botId)?.isBot) return;
+    announceLeft(removePlayerFromRoom(room, botId), botId);
+  });
+
+  // Host moderation. Targets are player or spectator ids; the host can't
+  // target themselves.
+  function hostTarget(targetId) {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room)                  return { error:'Not in room' };
+    if (room.host !== playerId) return { error:'Only host can moderate' };
+    if (targetId === playerId)  return { error:"You can't do that to yourself" };
+    const member = roomMember(room, targetId);
+    if (!member.player && !member.spectator) return { error:'No such player' };
+    return { room, ...member };
+  }
+
+  on('kickPlayer', ({playerId:targetId}, cb) => {
+    const { error, room } = hostTarget(targetId);
+    if (error) return cb({error});
+    expel(room, targetId, 'kick');
+    cb({success:true});
+  });
+
+  on('banPlayer', ({playerId:targetId}, cb) => {
+    const { error, room, player } = hostTarget(targetId);
+    if (error) return cb({error});
+    if (player?.isBot) return cb({error:'Bots can only be removed'});
+    banMember(room, targetId);
+    io.to(room.code).emit('roomUpdated', getRoomLobbyData(room));
+    cb({success:true});
+  });
+
+  on('unbanPlayer', ({banId}, cb) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room || room.host !== playerId) return cb({error:'Only host can moderate'});
+    const before = room.bans.length;
+    room.bans = room.bans.filter(b => b.id !== banId);
+    if (room.bans.length === before) return cb({error:'No such ban'});
+    io.to(room.code).emit('roomUpdated', getRoomLobbyData(room));
+    cb({success:true});
+  });
+
+  on('mutePlayer', ({playerId:targetId, muted}, cb) => {
+    const { error, room, player, spectator } = hostTarget(targetId);
+    if (error) return cb({error});
+    if (player?.isBot) return cb({error:"Bots don't chat"});
+    (player || spectator).muted = muted;
+    io.to(room.code).emit('roomUpdated', getRoomLobbyData(room));
+    cb({success:true});
+  });
+
+  // Host uploads a map (JSON text). It's validated like the built-ins and
+  // selected straight away; everyone gets the map data with gameStart.
+  on('uploadMap', (json, cb) => {
+    const { room, playerId } = boundRoom(socket.id);
+    if (!room)                   return cb({error:'Not in room'});
+    if (room.host !== playerId)  return cb({error:'Only host can upload maps'});
+    if (room.status !== 'lobby') return cb({error:'Game in progress'});
+    const res = parseMap(json, { minSpawns:MAX_PLAYERS });
+    if (!res.ok) return cb({error:'Invalid map', details:res.errors});
+    room.customMap = res.map; room.mapIndex = CUSTOM_MAP;
+    io.to(room.code).emit('settingsChanged', settingsData(room));
+    cb({success:true, name:res.map.name});
+  });
+
+  // Spectators read the players' chat; theirs only goes to other spectators.
+  // Muted senders and repeats are turned away; profanity is starred out.
+  on('chatMsg', (text) => {
+    const { room, player, spectator } = boundRoom(socket.id);
+    const sender = player || spectator;
+    if (!sender) return;
+    if (sender.muted) return reject('chatMsg', 'muted', null, 'The host has muted you');
+    const spam = spamCheck(sender.spam, text);
+    if (spam) return reject('chatMsg', 'spam', null, spam);
+    const { text:msg, masked } = chatFilter.clean(text.substring(0,80));
+    if (masked) logEvent(socket, 'chatMsg', 'filtered', 'profanity');
+    if (spectator) io.to(specChannel(room.code)).emit('chatMsg', {name:spectator.name,color:'#6c7ba0',msg,spectator:true});
+    else io.to(room.code).emit('chatMsg', {name:player.name,color:player.color,msg});
   });
 
   socket.on('disconnect', () => {
     console.log(`[-] ${socket.id}`);
-    const r = removePlayerFromRoom(socket.id);
-    if (!r || !rooms.has(r.code)) return;
-    io.to(r.code).emit('playerLeft', {playerId:socket.id,room:getRoomLobbyData(r.room)});
+    netStates.delete(socket.id);
+    const { room, playerId, spectator } = boundRoom(socket.id);
+    socketBindings.delete(socket.id);
+    if (spectator) {
+      removeSpectator(room, spectator.id);
+      io.to(room.code).emit('spectatorsChanged', getRoomLobbyData(room));
+    } else if (room) dropPlayerSocket(room, playerId);
   });
 
-  socket.on('ping', (cb) => { if (typeof cb === 'function') cb(); });
+  // Clients send the RTT they measured last time, for /metrics and /admin
+  on('ping', (rtt, cb) => {
+    const { player, spectator } = boundRoom(socket.id);
+    if (rtt && (player || spectator)) (player || spectator).rtt = rtt;
+    cb();
+  });
 });
 
-const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, '0.0.0.0', () => console.log(`\n🏷️  TAG Server → http://0.0.0.0:${PORT}\n`));
+// Exported for the headless test harness (test/); only listen when run directly.
+module.exports = {
+  rooms, replays, profiles, MAPS, gameTick, queueInput, newInputState, LAG_COMP_TICKS, addSpectator, returnToLobby,
+  publicRooms, quickPlayRoom, checkAutoStart, rejectLog, EVENT_SCHEMAS, guardEvents, banMember, isBanned,
+  app, httpServer, io, metrics, runTick, blankRoom, blankPlayer, resetPlayer, hiddenPlayers, viewFor, jsonPlayers, quantizeRoom,
+  addPlayerToRoom, dropPlayerSocket, resumeSession,
+};
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  httpServer.listen(PORT, '0.0.0.0', () => console.log(`\n🏷️  TAG Server → http://0.0.0.0:${PORT}\n`));
+  // Write out stats still waiting on the save timer
+  for (const sig of ['SIGINT', 'SIGTERM']) process.on(sig, () => { flushProfiles(profiles); process.exit(0); });
+}
@@ -0,0 +1,115 @@
+/**
+ * Operations: metrics bookkeeping and Prometheus output, the tick timer's
+ * missed-tick count, and the password-protected /metrics and /admin API.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROFILE_FILE   = '';
+process.env.ADMIN_PASSWORD = 'hunter2';
+process.env.TRUST_PROXY    = '1';
+const { rooms, httpServer, metrics, runTick } = require('../server');
+const { newMetrics, recordTick, recordBytesOut, bytesOutPerSecond, percentile, formatMetrics, TICK_WINDOW } = require('../lib/metrics');
+const { player, makeRoom } = require('./support/helpers');
+
+let base;
+test.before(() => new Promise(resolve => httpServer.listen(0, '127.0.0.1', () => {
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+  resolve();
+})));
+test.after(() => { httpServer.closeAllConnections(); httpServer.close(); });
+
+const auth = (password = 'hunter2') => ({ Authorization:'Basic ' + Buffer.from('admin:' + password).toString('base64') });
+const post = (url, body, headers = auth()) =>
+  fetch(base + url, { method:'POST', headers:{ ...headers, 'Content-Type':'application/json' }, body:JSON.stringify(body ?? {}) });
+
+function lobbyRoom(code, status = 'lobby') {
+  const ann = player('ann', 100), bob = player('bob', 300);
+  ann.rtt = 40; bob.rtt = 60;
+  const room = makeRoom({ code, host:'ann', status, roundDuration:90 }, ann, bob);
+  rooms.set(code, room);
+  return room;
+}
+
+test('tick percentiles, the tick window and the bytes/second window', () => {
+  assert.strictEqual(percentile([], 0.5), 0);
+  assert.strictEqual(percentile([5, 1, 4, 2, 3], 0.5), 3);
+  assert.strictEqual(percentile([1, 2, 3, 4, 100], 0.99), 100);
+
+  const m = newMetrics(0);
+  for (let i = 0; i < TICK_WINDOW + 10; i++) recordTick(m, i);
+  assert.strictEqual(m.tickMs.length, TICK_WINDOW, 'only recent ticks are kept');
+  assert.strictEqual(m.ticks, TICK_WINDOW + 10);
+  assert.strictEqual(percentile(m.tickMs, 0), 10);
+
+  recordBytesOut(m, 900, 1000); recordBytesOut(m, 900, 2500);
+  assert.strictEqual(bytesOutPerSecond(m, 3000), 200, '1800 bytes over the 9 finished seconds');
+  assert.strictEqual(bytesOutPerSecond(m, 60000), 0, 'old seconds roll out');
+  assert.strictEqual(m.bytesOut, 1800);
+});
+
+test('metrics render in Prometheus text format', () => {
+  const text = formatMetrics([
+    { name:'x_total', help:'Xs', type:'counter', samples:3 },
+    { name:'y', help:'Ys', type:'gauge', samples:[{ labels:{ room:'A"B' }, value:1.5 }, { labels:{ room:'C' }, value:NaN }] },
+  ]);
+  assert.strictEqual(text, '# HELP x_total Xs\n# TYPE x_total counter\nx_total 3\n# HELP y Ys\n# TYPE y gauge\ny{room="A\\"B"} 1.5\ny{room="C"} 0\n');
+});
+
+test('a late game loop counts the tick periods it missed', () => {
+  const room = lobbyRoom('TICK');
+  const before = metrics.missedTicks, ticks = metrics.ticks;
+  room.lastTickAt = performance.now() - 1000 / 60 * 4.5;
+  runTick(room);
+  assert.strictEqual(metrics.missedTicks - before, 3);
+  assert.strictEqual(metrics.ticks - ticks, 1);
+  rooms.delete('TICK');
+});
+
+test('/metrics and /admin need the password', async () => {
+  assert.strictEqual((await fetch(base + '/metrics')).status, 401);
+  assert.strictEqual((await fetch(base + '/metrics', { headers:auth('wrong') })).status, 401);
+  assert.strictEqual((await fetch(base + '/admin/api/rooms')).status, 401);
+  const page = await fetch(base + '/admin', { headers:auth() });
+  assert.strictEqual(page.status, 200);
+  assert.match(await page.text(), /TAG Admin/);
+
+  lobbyRoom('MTRC');
+  const text = await (await fetch(base + '/metrics', { headers:auth() })).text();
+  assert.match(text, /^tag_rooms\{status="lobby"\} [1-9]/m);
+  assert.match(text, /^tag_room_rtt_seconds\{room="MTRC",stat="avg"\} 0\.05$/m);
+  assert.match(text, /^tag_room_rtt_seconds\{room="MTRC",stat="max"\} 0\.06$/m);
+  assert.match(text, /^tag_tick_duration_seconds\{quantile="0\.99"\} /m);
+  assert.match(text, /^tag_outbound_bytes_per_second /m);
+  rooms.delete('MTRC');
+});
+
+test('an address out of wrong guesses is refused even with the right password', async () => {
+  const from = address => password => fetch(base + '/admin/api/rooms', { headers:{ ...auth(password), 'X-Forwarded-For':address } });
+  const guess = from('203.0.113.7');
+  for (let i = 0; i < 10; i++) assert.strictEqual((await guess('wrong' + i)).status, 401);
+  assert.strictEqual((await guess('wrong')).status, 429);
+  assert.strictEqual((await guess('hunter2')).status, 429, 'the right password too');
+  assert.strictEqual((await from('203.0.113.8')('hunter2')).status, 200, 'other addresses still get in');
+});
+
+test('admins can list rooms, end a countdown, close a room and broadcast', async () => {
+  const room = lobbyRoom('ADMN', 'countdown');
+  const { rooms:list } = await (await fetch(base + '/admin/api/rooms', { headers:auth() })).json();
+  assert.deepStrictEqual(list.find(r => r.code === 'ADMN').players.map(p => [p.name, p.rtt]), [['ann', 40], ['bob', 60]]);
+
+  assert.strictEqual((await post('/admin/api/rooms/admn/end')).status, 200);
+  assert.strictEqual(room.status, 'lobby');
+  assert.strictEqual((await post('/admin/api/rooms/ADMN/end')).status, 409, 'nothing left to end');
+
+  // Forms can't post JSON cross-site; anything else is refused
+  const form = await fetch(base + '/admin/api/rooms/ADMN/close', { method:'POST', headers:{ ...auth(), 'Content-Type':'application/x-www-form-urlencoded' } });
+  assert.strictEqual(form.status, 415);
+  assert.ok(rooms.has('ADMN'));
+  assert.strictEqual((await post('/admin/api/rooms/ADMN/close')).status, 200);
+  assert.ok(!rooms.has('ADMN'));
+
+  assert.strictEqual((await post('/admin/api/broadcast', { message:'  ' })).status, 400);
+  assert.strictEqual((await post('/admin/api/broadcast', { message:'Restarting in 5 minutes' })).status, 200);
+  assert.strictEqual((await post('/admin/api/broadcast', { message:'hi', code:'NOPE' })).status, 404);
+});
@@ -0,0 +1,50 @@
+/**
+ * Bots: the navigation graph covers every built-in map, and a bot driven
+ * through gameTick climbs to catch a player and runs from one.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { MAPS, gameTick } = require('../server');
+const { buildNavGraph, shortestPaths, newBrain } = require('../lib/bots');
+const { TICK_RATE, PLAYER_W } = require('../public/shared');
+const { player, makeRoom } = require('./support/helpers');
+
+test('every platform of every built-in map is reachable from every other', () => {
+  for (const map of MAPS) {
+    const graph = buildNavGraph(map);
+    assert.ok(graph.nodes.length > 10, `${map.name} has platforms`);
+    for (const n of graph.nodes) {
+      const { cost } = shortestPaths(graph, n, (n.x0 + n.x1) / 2);
+      const stuck = graph.nodes.filter(m => cost[m.id] === Infinity).map(m => m.id);
+      assert.deepStrictEqual(stuck, [], `${map.name}: node ${n.id} can't reach ${stuck}`);
+    }
+  }
+});
+
+test('a hard bot that is "it" climbs to tag a player on the top platform', () => {
+  // Forest's top-left ledge, five jumps above the ground
+  const it = player('bot', 600), target = player('target', 80, 148 - 36);
+  it.isIt = true; it.bot = newBrain('hard');
+  const room = makeRoom({}, it, target);
+  room.itPlayerId = 'bot';
+  for (let t = 0; t < TICK_RATE * 20 && room.itPlayerId === 'bot'; t++) gameTick(room);
+  assert.strictEqual(room.itPlayerId, 'target');
+  assert.strictEqual(it.tagsMade, 1);
+});
+
+test('a runner bot gets away from the "it" player', () => {
+  const it = player('it', 560), run = player('bot', 600);
+  it.isIt = true; it.tagCooldown = TICK_RATE * 60;   // can't tag yet
+  run.bot = newBrain('hard');
+  const room = makeRoom({}, it, run);
+  room.itPlayerId = 'it';
+  for (let t = 0; t < TICK_RATE * 3; t++) gameTick(room);
+  const gap = Math.hypot(run.x - it.x, run.y - it.y);
+  assert.ok(gap > PLAYER_W * 8, `runner only got ${Math.round(gap)}px away`);
+});
+
+test('unknown difficulties fall back to normal', () => {
+  assert.strictEqual(newBrain('godlike').difficulty, 'normal');
+  assert.strictEqual(newBrain('easy').difficulty, 'easy');
+});
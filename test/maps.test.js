@@ -0,0 +1,65 @@
+/**
+ * Map validation: built-in maps load, and uploads that the physics can't
+ * play fairly are rejected with an error naming the bad entry.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+
+const { MAP_DIR, loadMaps, parseMap, validateMap } = require('../lib/maps');
+
+const forest = () => JSON.parse(fs.readFileSync(path.join(MAP_DIR, '1-forest.json'), 'utf8'));
+
+function errorsFor(edit) {
+  const raw = forest();
+  edit(raw);
+  const res = validateMap(raw);
+  assert.strictEqual(res.ok, false, 'expected the map to be rejected');
+  return res.errors.join('\n');
+}
+
+test('built-in maps all load and validate', () => {
+  const maps = loadMaps();
+  assert.deepStrictEqual(maps.map(m => m.name), ['Forest', 'Arctic', 'Desert', 'Sky Works']);
+  for (const m of maps) assert.ok(m.spawns.length >= 4);
+});
+
+test('platforms must be inside the map', () => {
+  assert.match(errorsFor(m => { m.platforms[3].x = 1150; }), /platforms\[3\] is outside/);
+});
+
+test('spawns must not be inside solids and need enough of them', () => {
+  assert.match(errorsFor(m => { m.spawns[1] = { x:30, y:550 }; }), /spawns\[1\] is inside a platform/);
+  assert.match(errorsFor(m => { m.spawns.length = 2; }), /spawns needs at least 4/);
+  assert.ok(validateMap(Object.assign(forest(), { spawns:forest().spawns.slice(0, 2) }), { minSpawns:2 }).ok);
+});
+
+test('teleporter targets must land clear of solids with a floor below', () => {
+  assert.match(errorsFor(m => { m.teleporters[0].targetY = 680; }), /teleporters\[0\]: target is inside a platform/);
+  assert.match(errorsFor(m => { m.platforms.shift(); }), /teleporters\[0\]: target has no floor below it/);
+  assert.match(errorsFor(m => { m.teleporters[1].targetX = 5000; }), /teleporters\[1\]: target is outside the map/);
+});
+
+test('moving platforms need a path inside the map and a sane speed; power-up spots must be clear', () => {
+  assert.match(errorsFor(m => { Object.assign(m.platforms[3], { path:[], speed:80 }); }), /platforms\[3\]: path must have 1–4 points/);
+  assert.match(errorsFor(m => { Object.assign(m.platforms[3], { path:[{ x:1190, y:300 }], speed:80 }); }), /platforms\[3\]: path leaves the map/);
+  assert.match(errorsFor(m => { Object.assign(m.platforms[3], { path:[{ x:300, y:300 }] }); }), /platforms\[3\]: speed must be 20–300/);
+  assert.match(errorsFor(m => { m.powerups[0] = { x:30, y:680 }; }), /powerups\[0\] is inside a platform/);
+  const raw = forest();
+  Object.assign(raw.platforms[3], { path:[{ x:300, y:300 }], speed:80, crumble:1, ice:'yes', slippery:true });
+  const { ok, map } = validateMap(raw);
+  assert.ok(ok);
+  assert.deepStrictEqual(map.platforms[3], { ...forest().platforms[3], path:[{ x:300, y:300 }], speed:80, crumble:true, ice:true });
+});
+
+test('uploads are parsed, size-capped and stripped to known fields', () => {
+  assert.match(parseMap('{nope').errors[0], /Not valid JSON/);
+  assert.match(parseMap(' '.repeat(70 * 1024)).errors[0], /larger than/);
+  const raw = forest();
+  raw.script = 'alert(1)'; raw.platforms[0].onClick = 'x';
+  const res = parseMap(JSON.stringify(raw));
+  assert.ok(res.ok);
+  assert.strictEqual(res.map.script, undefined);
+  assert.strictEqual(res.map.platforms[0].onClick, undefined);
+});
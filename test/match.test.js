@@ -0,0 +1,68 @@
+/**
+ * Scoring and multi-round matches: per-tick stats, round points and the
+ * intermission → final podium flow driven by endGame.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { gameTick } = require('../server');
+const { newMatch, resetRoundStats, TAG_POINTS, WIN_BONUS } = require('../lib/scoring');
+const { TICK_RATE } = require('../public/shared');
+const { player, makeRoom } = require('./support/helpers');
+
+// "it" stands still far from a runner who runs right for the whole round
+function playRound(room) {
+  for (let seq = 1; seq <= TICK_RATE * 2; seq++) {
+    room.inputs.get('run').queue.push({ seq, tick:seq, right:true });
+    gameTick(room);
+  }
+}
+
+function matchRoom(rounds) {
+  const it = player('it', 100), run = player('run', 500);
+  it.isIt = true;
+  const room = makeRoom({ roundDuration:2, itPlayerId:'it', rounds, match:newMatch(rounds) }, it, run);
+  return { room, it, run };
+}
+
+test('round results carry time-as-it, free time, streak, distance and points', () => {
+  const { room } = matchRoom(1);
+  playRound(room);
+  assert.strictEqual(room.status, 'ended');
+  const { results, match } = room.lastEnd;
+  const run = results.find(r => r.id === 'run'), it = results.find(r => r.id === 'it');
+  assert.strictEqual(run.freeSeconds, 2);
+  assert.strictEqual(run.longestStreak, 2);
+  assert.strictEqual(run.itSeconds, 0);
+  assert.strictEqual(it.itSeconds, 2);
+  assert.ok(run.distance > 0 && it.distance === 0);
+  assert.strictEqual(run.points, 2 + WIN_BONUS);
+  assert.strictEqual(it.points, 0);
+  assert.ok(match.final);
+  assert.deepStrictEqual(match.standings.map(s => s.id), ['run', 'it']);
+});
+
+test('a match runs N rounds with an intermission between them', () => {
+  const { room, it } = matchRoom(2);
+  playRound(room);
+  assert.strictEqual(room.status, 'intermission');
+  assert.strictEqual(room.lastEnd.match.final, false);
+  assert.ok(room.phaseTimer, 'next round is scheduled');
+
+  // Second round, as startCountdown → startGame would set it up
+  clearTimeout(room.phaseTimer);
+  room.match.round++;
+  Object.assign(room, { status:'playing', timer:2, tick:0 });
+  for (const p of room.players.values()) { p.x = p.id === 'it' ? 100 : 500; resetRoundStats(p); }
+  it.tagsMade = 1;                         // pretend "it" tagged once before the buzzer
+  playRound(room);
+
+  assert.strictEqual(room.status, 'ended');
+  const { match } = room.lastEnd;
+  assert.ok(match.final);
+  const run = match.standings.find(s => s.id === 'run');
+  assert.strictEqual(run.roundsPlayed, 2);
+  assert.strictEqual(run.wins, 2);
+  assert.strictEqual(run.points, 2 * (2 + WIN_BONUS));
+  assert.strictEqual(match.standings.find(s => s.id === 'it').points, TAG_POINTS);
+});
@@ -0,0 +1,97 @@
+/**
+ * Public rooms & Quick Play: the browser lists only public rooms, Quick Play
+ * fills the fullest lobby that fits the player's skill, and a full public
+ * lobby schedules its own start.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROFILE_FILE = '';   // ratings come from profiles held in memory only
+const { rooms, profiles, publicRooms, quickPlayRoom, checkAutoStart } = require('../server');
+const { claimName, recordRound } = require('../lib/profiles');
+const { skillRating, lobbyRating, pickLobby } = require('../lib/matchmaking');
+const { newBrain } = require('../lib/bots');
+const { player, makeRoom } = require('./support/helpers');
+
+const listed = [];
+test.after(() => { for (const room of listed) rooms.delete(room.code); });
+
+// A lobby of `names`, listed in `rooms`; a name starting with "bot" is a bot
+function lobby(code, names, { isPublic = true, status = 'lobby', createdAt = listed.length } = {}) {
+  const members = names.map((name, i) => {
+    const p = player(name, 100 + i * 200);
+    p.isBot = name.startsWith('bot');
+    p.bot = p.isBot ? newBrain('easy') : null;
+    p.profile = p.isBot ? null : name.toLowerCase();
+    return p;
+  });
+  const room = makeRoom({ code, host:names[0], status, public:isPublic, createdAt, roundDuration:90 }, ...members);
+  rooms.set(code, room); listed.push(room);
+  return room;
+}
+
+// A claimed profile with the given points per round over 5 rounds
+function rated(name, pointsPerRound) {
+  claimName(profiles, name, name.padEnd(32, 'x'));
+  for (let i = 0; i < 5; i++) recordRound(profiles, [{ key:name.toLowerCase(), row:{ points:pointsPerRound } }], { newGame:i === 0 });
+}
+
+test('ratings need a few rounds; lobbies pick full-first, within the skill band', () => {
+  assert.strictEqual(skillRating(null), null);
+  assert.strictEqual(skillRating({ roundsPlayed:2, points:100 }), null);
+  assert.strictEqual(skillRating({ roundsPlayed:4, points:100 }), 25);
+  assert.strictEqual(lobbyRating([null, 10, 30]), 20);
+  assert.strictEqual(lobbyRating([null]), null);
+
+  const lobbies = [{ code:'EMPT', open:3, skill:50 }, { code:'FULL', open:0, skill:50 }, { code:'PROS', open:1, skill:90 }, { code:'MIDS', open:2, skill:45 }];
+  assert.strictEqual(pickLobby(lobbies, null), 'PROS', 'unrated players fill the fullest open lobby');
+  assert.strictEqual(pickLobby(lobbies, 50), 'MIDS', 'a far-off lobby loses to a closer one');
+  assert.strictEqual(pickLobby(lobbies.slice(0, 3), 40), 'EMPT');
+  assert.strictEqual(pickLobby([{ code:'PROS', open:1, skill:90 }], 10), 'PROS', 'but is better than none');
+  assert.strictEqual(pickLobby([{ code:'FULL', open:0, skill:null }], null), null);
+});
+
+test('the room browser lists public rooms, open lobbies first', () => {
+  lobby('PLAY', ['Ann', 'Ben'], { status:'playing' });
+  lobby('OPEN', ['Cat', 'bot1']);
+  lobby('HIDE', ['Dan'], { isPublic:false });
+  const list = publicRooms();
+  assert.deepStrictEqual(list.map(r => r.code), ['OPEN', 'PLAY']);
+  assert.deepStrictEqual(list[0], { code:'OPEN', host:'Cat', status:'lobby', mode:'classic', map:list[0].map, players:2, bots:1, maxPlayers:4, spectators:0 });
+  assert.ok(list[0].map);
+  // Quick Play never drops someone into a game in progress or a private room
+  assert.strictEqual(quickPlayRoom(null).code, 'OPEN');
+  for (const code of ['PLAY', 'OPEN', 'HIDE']) rooms.delete(code);
+});
+
+test('quick play matches rated players to lobbies near their level', () => {
+  rated('Pro', 80); rated('Pro2', 90); rated('Newb', 5); rated('Newb2', 10);
+  lobby('HARD', ['Pro', 'Pro2']);
+  lobby('EASY', ['Newb']);
+  rated('Ace', 85);
+  assert.strictEqual(quickPlayRoom('ace').code, 'HARD');
+  assert.strictEqual(quickPlayRoom('newb2').code, 'EASY', 'the emptier lobby, because it is at their level');
+  assert.strictEqual(quickPlayRoom(null).code, 'HARD', 'guests fill the fullest');
+  for (const code of ['HARD', 'EASY']) rooms.delete(code);
+  assert.strictEqual(quickPlayRoom(null), null, 'nothing open: the caller makes a room');
+});
+
+test('a full public lobby schedules its start; a free seat or going private calls it off', () => {
+  const room = lobby('AUTO', ['Eve', 'Fay', 'Gus', 'bot2']);
+  checkAutoStart(room);
+  assert.ok(room.phaseTimer, 'start scheduled');
+  room.players.delete('bot2');
+  checkAutoStart(room);
+  assert.strictEqual(room.phaseTimer, null);
+
+  room.players.set('bot2', { id:'bot2', name:'bot2', slot:3, isBot:true, bot:{ difficulty:'easy' } });
+  checkAutoStart(room);
+  assert.ok(room.phaseTimer);
+  room.public = false;
+  checkAutoStart(room);
+  assert.strictEqual(room.phaseTimer, null);
+
+  const priv = lobby('PRIV', ['Hal', 'Ivy', 'Jon', 'Kim'], { isPublic:false });
+  checkAutoStart(priv);
+  assert.strictEqual(priv.phaseTimer, null, 'private hosts start their own games');
+});
@@ -0,0 +1,114 @@
+/**
+ * Guarding the socket API: payload schemas, per-socket rate limits, the
+ * rejection log, chat filtering and the host's kick / ban / mute tools.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROFILE_FILE = '';
+const { rooms, rejectLog, EVENT_SCHEMAS, guardEvents, banMember, isBanned, gameTick, queueInput } = require('../server');
+const { newLimiter } = require('../lib/ratelimit');
+const { newChatFilter, newSpamState, spamCheck } = require('../lib/chat');
+const { player, makeRoom } = require('./support/helpers');
+
+let sockets = 0;
+function fakeSocket(address = '10.0.0.1') {
+  return {
+    id:'sock' + (++sockets), handshake:{ address, headers:{} }, handlers:{}, sent:[], disconnected:false,
+    on(event, fn) { this.handlers[event] = fn; }, emit(event, data) { this.sent.push([event, data]); },
+    join() {}, leave() {}, disconnect() { this.disconnected = true; },
+  };
+}
+
+test('event schemas reject bad payloads and keep only known fields', () => {
+  const settings = EVENT_SCHEMAS.changeSettings;
+  for (const roundDuration of [-90, '90', 1e9, 90.5, 45]) {
+    assert.strictEqual(settings({ roundDuration }).ok, false, String(roundDuration));
+  }
+  assert.deepStrictEqual(settings({ roundDuration:120, sneaky:true }), { ok:true, value:{ roundDuration:120 } });
+  assert.strictEqual(settings({ mode:'__proto__' }).ok, false);
+  assert.strictEqual(settings(null).ok, false);
+  assert.strictEqual(EVENT_SCHEMAS.createRoom({ name:'Ann', mapIndex:999 }).ok, false);
+  assert.match(EVENT_SCHEMAS.createRoom({ name:'   ' }).error, /name is required/);
+  assert.deepStrictEqual(EVENT_SCHEMAS.joinRoom({ name:' Ann ', code:'ABCD' }).value, { name:'Ann', code:'ABCD' });
+  assert.strictEqual(EVENT_SCHEMAS.input({ seq:1, tick:1, left:'yes', right:false, jump:false }).ok, false);
+  assert.deepStrictEqual(EVENT_SCHEMAS.hello(undefined), { ok:true, value:{} });
+});
+
+test('old clients that send bare {left,right,jump} inputs still move', () => {
+  const socket = fakeSocket();
+  const { on } = guardEvents(socket);
+  const runner = player('runner', 300), room = makeRoom({}, runner);
+  on('input', input => queueInput(room, 'runner', input));
+  for (let i = 0; i < 30; i++) { socket.handlers.input({ left:false, right:true, jump:false }); gameTick(room); }
+  assert.deepStrictEqual(socket.sent, [], 'no rejections to add up to a flood');
+  assert.strictEqual(room.inputs.get('runner').lastSeq, 30);
+  assert.ok(runner.x > 300);
+});
+
+test('token buckets allow a burst, then the sustained rate', () => {
+  const limiter = newLimiter({ default:{ rate:2, burst:3 }, chatMsg:{ rate:1, burst:1 } });
+  const t = 1000;
+  assert.deepStrictEqual([1, 2, 3, 4].map(() => limiter.allow('joinRoom', t)), [true, true, true, false]);
+  assert.strictEqual(limiter.allow('joinRoom', t + 499), false);
+  assert.strictEqual(limiter.allow('joinRoom', t + 500), true, 'refilled one token');
+  assert.strictEqual(limiter.allow('chatMsg', t), true, 'own bucket per event');
+  assert.strictEqual(limiter.allow('chatMsg', t), false);
+});
+
+test('guarded events: bad payloads get an error, floods are dropped and logged', () => {
+  const socket = fakeSocket();
+  const { on } = guardEvents(socket);
+  const got = [];
+  on('changeSettings', payload => got.push(payload));
+  on('chatMsg', text => got.push(text));
+
+  let reply;
+  socket.handlers.changeSettings({ roundDuration:-5 }, r => { reply = r; });
+  assert.match(reply.error, /^RoundDuration must be one of/);
+  socket.handlers.changeSettings({ rounds:3 });
+  assert.deepStrictEqual(got, [{ rounds:3 }]);
+
+  const logged = rejectLog.length;
+  for (let i = 0; i < 20; i++) socket.handlers.chatMsg('hi ' + i);
+  assert.strictEqual(got.length, 1 + 4, 'chat burst is 4');
+  const entry = rejectLog.at(-1);
+  assert.strictEqual(rejectLog.length, logged + 1, 'repeats are counted on one entry');
+  assert.deepStrictEqual([entry.event, entry.reason, entry.count, entry.address], ['chatMsg', 'rate limited', 16, '10.0.0.1']);
+  assert.deepStrictEqual(socket.sent, [['rejected', { event:'chatMsg', error:'Too many requests — slow down' }]]);
+});
+
+test('profanity is starred out without catching innocent words; repeats are spam', () => {
+  const filter = newChatFilter(['grob']);
+  assert.deepStrictEqual(filter.clean('well SH1IIT that was close'), { text:'well ****** that was close', masked:true });
+  assert.deepStrictEqual(filter.clean('a classic pass in Scunthorpe'), { text:'a classic pass in Scunthorpe', masked:false });
+  assert.strictEqual(filter.clean('you grob').text, 'you ****');
+  for (const word of ['saltwater', 'swank', 'shiitake', 'Shiitakes']) assert.strictEqual(filter.clean(word).masked, false, word);
+  assert.strictEqual(filter.clean('shitty').text, '******');
+  assert.strictEqual(filter.clean('damn! what an ass!').text, '***** what an ****');
+  assert.strictEqual(filter.clean('sh!t').text, '****');
+  assert.ok(filter.offensive('b1tch_face'));
+  assert.ok(!filter.offensive('Cassie'));
+
+  const spam = newSpamState();
+  assert.strictEqual(spamCheck(spam, 'gg', 0), null);
+  assert.match(spamCheck(spam, 'GG', 1000), /Repeated/);
+  assert.strictEqual(spamCheck(spam, 'gg', 31000), null, 'fine again later');
+});
+
+test('a banned player is removed and kept out under another name', () => {
+  const members = [['host', 'host', '10.0.0.1'], ['troll', 'troll', '10.6.6.6'], ['pal', null, '10.0.0.2']].map(([id, profile, address], i) => {
+    const p = player(id, 100 + i * 200);
+    p.profile = profile; p.address = address;
+    return p;
+  });
+  const room = makeRoom({ code:'BANS', host:'host', status:'lobby', roundDuration:90 }, ...members);
+  rooms.set(room.code, room);
+  const ban = banMember(room, 'troll');
+  assert.deepStrictEqual([ban.name, ban.profile, ban.address], ['troll', 'troll', '10.6.6.6']);
+  assert.ok(!room.players.has('troll'));
+  assert.ok(isBanned(room, 'troll', '10.9.9.9'), 'same profile, new network');
+  assert.ok(isBanned(room, null, '10.6.6.6'), 'new name, same address');
+  assert.ok(!isBanned(room, null, '10.0.0.2'));
+  rooms.delete(room.code);
+});
@@ -0,0 +1,85 @@
+/**
+ * Game modes: contact rules and end conditions, driven through gameTick so
+ * the server's contact loop, mode tick and checkEnd all run as in play.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { gameTick } = require('../server');
+const { MODES, TAG_COOLDOWN } = require('../lib/modes');
+const { TICK_RATE } = require('../public/shared');
+const { player, makeRoom } = require('./support/helpers');
+
+function makeIt(room, p) { p.isIt = true; room.itPlayerId = p.id; }
+
+test('freeze: touching a runner freezes it, a teammate thaws it', () => {
+  const it = player('it', 300), a = player('a', 330), b = player('b', 900);
+  const room = makeRoom({ mode:'freeze' }, it, a, b);
+  makeIt(room, it);
+  gameTick(room);
+  assert.ok(a.frozen);
+  assert.strictEqual(it.tagsMade, 1);
+  assert.strictEqual(room.status, 'playing', 'one runner is still free');
+
+  // b walks over to a; the "it" player is moved away so it can't re-freeze
+  it.x = 50; b.x = 360;
+  gameTick(room);
+  assert.ok(!a.frozen);
+  assert.strictEqual(a.tagCooldown, TAG_COOLDOWN);
+  assert.strictEqual(b.rescues, 1);
+});
+
+test('freeze: round ends when every runner is frozen', () => {
+  const it = player('it', 300), a = player('a', 330);
+  const room = makeRoom({ mode:'freeze' }, it, a);
+  makeIt(room, it);
+  gameTick(room);
+  assert.strictEqual(room.status, 'ended');
+  const results = MODES.freeze.results(room, 'all_frozen');
+  assert.strictEqual(results[0].id, 'it');
+  assert.ok(results[0].won);
+});
+
+test('infection: tagged players join the infected, last survivor wins', () => {
+  const z = player('z', 300), a = player('a', 330), b = player('b', 900);
+  const room = makeRoom({ mode:'infection' }, z, a, b);
+  makeIt(room, z);
+  room.modeState = { infections:0, lastSurvivorId:null };
+  gameTick(room);
+  assert.ok(a.isIt && z.isIt);
+  assert.strictEqual(room.status, 'playing');
+
+  b.x = 330; z.x = 50;            // fresh zombie `a` is still on cooldown
+  a.tagCooldown = 0;
+  gameTick(room);
+  assert.strictEqual(room.status, 'ended');
+  const results = MODES.infection.results(room, 'all_infected');
+  assert.deepStrictEqual(results.map(r => r.id), ['b', 'a', 'z']);
+  assert.ok(results[0].won && !results[1].won);
+});
+
+test('hot potato: fuse eliminates the holder and re-lights on a survivor', () => {
+  const h = player('h', 100), a = player('a', 500), b = player('b', 900);
+  const room = makeRoom({ mode:'hotPotato' }, h, a, b);
+  makeIt(room, h);
+  room.modeState = { fuse:2, eliminations:0 };
+  gameTick(room); gameTick(room);
+  assert.ok(h.eliminated && !h.isIt);
+  assert.ok(room.itPlayerId === 'a' || room.itPlayerId === 'b');
+  assert.ok(room.modeState.fuse >= TICK_RATE * 12);
+  assert.strictEqual(room.status, 'playing');
+
+  // Eliminated players are frozen in place and can't be passed to
+  const hx = h.x;
+  room.players.get(room.itPlayerId).x = hx;
+  gameTick(room);
+  assert.strictEqual(h.x, hx);
+  assert.ok(!h.isIt);
+
+  room.modeState.fuse = 1;
+  gameTick(room);
+  assert.strictEqual(room.status, 'ended');
+  const results = MODES.hotPotato.results(room, 'last_standing');
+  assert.ok(results[0].won && !results[0].eliminated);
+  assert.strictEqual(results[2].id, 'h');
+});
@@ -0,0 +1,134 @@
+/**
+ * Headless parity harness: drives the server's gameTick and a browser-loaded
+ * copy of public/shared.js with the same scripted inputs and checks both
+ * produce identical per-tick trajectories.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const { MAPS, gameTick, queueInput, LAG_COMP_TICKS } = require('../server');
+const { player, makeRoom } = require('./support/helpers');
+
+// Load shared.js the way the browser does: a plain script exposing TagShared.
+function loadBrowserShared() {
+  const src     = fs.readFileSync(path.join(__dirname, '..', 'public', 'shared.js'), 'utf8');
+  const sandbox = { Math };
+  sandbox.self  = sandbox;
+  vm.runInNewContext(src, sandbox, { filename: 'shared.js' });
+  return sandbox.TagShared;
+}
+
+const client = loadBrowserShared();
+const { DT } = client;
+// The client only ever sees maps as they arrive in gameStart
+const CLIENT_MAPS = JSON.parse(JSON.stringify(MAPS));
+
+// Script format: [ticks, {left,right,jump}] — held for that many ticks.
+function expand(script) {
+  const out = [];
+  for (const [n, inp] of script) for (let i = 0; i < n; i++) out.push({ left:false, right:false, jump:false, ...inp });
+  return out;
+}
+
+// Dropped in at the map's first spawn, as a round starts
+function spawnPlayer(mapIndex) {
+  const sp = MAPS[mapIndex].spawns[0], p = player('p1', sp.x, sp.y);
+  p.onGround = false;
+  return p;
+}
+
+function snap(p) { return { x:p.x, y:p.y, vx:p.vx, vy:p.vy, onGround:p.onGround }; }
+
+function soloRoom(mapIndex) {
+  const p = spawnPlayer(mapIndex);
+  return { room:makeRoom({ mapIndex }, p), player:p };
+}
+
+// Goes through the same queueInput path as the socket 'input' handler.
+function runServer(mapIndex, inputs) {
+  const { room, player } = soloRoom(mapIndex);
+  const out = [];
+  inputs.forEach((input, i) => {
+    queueInput(room, player.id, { seq:i + 1, tick:i + 1, ...input });
+    gameTick(room);
+    out.push(snap(player));
+  });
+  return out;
+}
+
+// Mirrors predictLocalPlayer: irregular frame times banked into fixed ticks,
+// each one stepping the client's own copy of the world first.
+function runClient(mapIndex, inputs) {
+  const player = spawnPlayer(mapIndex);
+  const inp    = { left:false, right:false, jump:false, jumpBuffer:0 };
+  const world  = client.newWorld();
+  const frames = [1/144, 1/60, 1/30, 1/75, 0.05, 1/120];
+  let acc = 0, f = 0;
+  const out = [];
+  while (out.length < inputs.length) {
+    acc += frames[f++ % frames.length];
+    while (acc >= DT && out.length < inputs.length) {
+      client.applyCommand(inp, inputs[out.length]);
+      client.stepWorld(world);
+      client.stepPlayer(player, inp, CLIENT_MAPS[mapIndex], world);
+      out.push(snap(player));
+      acc -= DT;
+    }
+  }
+  return out;
+}
+
+// Mirrors reconcile(): rewind to the acked server state, replay the rest.
+function replayFrom(serverPlayer, ackedInput, pending, mapIndex) {
+  const player = { ...serverPlayer };
+  const inp    = { left:false, right:false, jump:ackedInput.jump, jumpBuffer:ackedInput.jumpBuffer };
+  for (const cmd of pending) {
+    client.applyCommand(inp, cmd);
+    client.stepPlayer(player, inp, CLIENT_MAPS[mapIndex]);
+  }
+  return snap(player);
+}
+
+const SCRIPTS = {
+  idle:        [[120, {}]],
+  runAndJump:  [[30, {right:true}], [4, {right:true, jump:true}], [40, {right:true}], [20, {}], [3, {jump:true}], [60, {left:true}]],
+  teleporter:  [[100, {}], [240, {left:true}], [60, {}]],
+  bouncePad:   [[100, {}], [90, {right:true}], [120, {}]],
+  jumpSpam:    [[10, {jump:true}], [2, {}], [10, {jump:true}], [2, {}], [10, {left:true, jump:true}], [80, {left:true}]],
+};
+
+for (let mapIndex = 0; mapIndex < MAPS.length; mapIndex++) {
+  for (const [name, script] of Object.entries(SCRIPTS)) {
+    test(`map ${MAPS[mapIndex].name}: ${name} trajectories match`, () => {
+      const inputs = expand(script);
+      assert.deepStrictEqual(runClient(mapIndex, inputs), runServer(mapIndex, inputs));
+    });
+  }
+}
+
+test('teleporter script actually teleports', () => {
+  const traj = runServer(0, expand(SCRIPTS.teleporter));
+  assert.ok(traj.some(p => p.x > MAPS[0].teleporters[0].targetX - 100), 'expected to land on the far side');
+});
+
+test('replaying unacked inputs from server state reproduces the prediction', () => {
+  const LATENCY = 9;
+  for (const [name, script] of Object.entries(SCRIPTS)) {
+    const inputs    = expand(script).map((inp, i) => ({ seq:i + 1, tick:i + 1, ...inp }));
+    const predicted = runClient(0, inputs);
+    const { room, player } = soloRoom(0);
+    inputs.forEach((input, i) => {
+      queueInput(room, player.id, input);
+      gameTick(room);
+      const inp = room.inputs.get(player.id);
+      assert.strictEqual(inp.lastSeq, input.seq);
+      // The client is LATENCY ticks ahead when this state arrives
+      const pending = inputs.slice(i + 1, i + 1 + LATENCY);
+      if (i + LATENCY >= inputs.length) return;
+      assert.deepStrictEqual(replayFrom(player, inp, pending, 0), predicted[i + LATENCY], `${name} @ seq ${input.seq}`);
+    });
+  }
+});
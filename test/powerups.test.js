@@ -0,0 +1,158 @@
+/**
+ * Power-ups and platform hazards: spots grow power-ups and hand them out, the
+ * effects change movement through the shared physics, and a shield turns a
+ * tag away.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROFILE_FILE = '';
+const { MAPS, gameTick, queueInput, hiddenPlayers, viewFor, jsonPlayers, quantizeRoom, resetPlayer } = require('../server');
+const {
+  PLAYER_W, PLAYER_H, CRUMBLE_TICKS, CRUMBLE_GONE_TICKS, STUN_TICKS, POWERUP_TICKS,
+  applyCommand, newWorld, stepWorld, stepPlayer, startEffect, platformPosition,
+} = require('../public/shared');
+const { POWERUP_FIRST_TICKS, SHIELD_GRACE_TICKS, newPowerups, tickPowerups } = require('../lib/powerups');
+const { player, makeRoom } = require('./support/helpers');
+
+const SKYWORKS = MAPS.find(m => m.name === 'Sky Works');
+// Nothing overhead to bump into
+const OPEN = { platforms:[{ x:0, y:660, w:1200, h:40 }], bouncePads:[], teleporters:[] };
+
+// Steps p through `ticks` ticks of `map` with the inputs inputAt(t) gives —
+// none by default
+function run(p, map, ticks, world = newWorld(), inputAt = () => ({})) {
+  const inp = { left:false, right:false, jump:false, jumpBuffer:0 };
+  for (let t = 0; t < ticks; t++) {
+    applyCommand(inp, { left:false, right:false, jump:false, ...inputAt(t) });
+    stepWorld(world);
+    stepPlayer(p, inp, map, world);
+  }
+  return world;
+}
+
+test('a spot grows a power-up, and the first player to reach it takes it', () => {
+  const map = { powerups:[{ x:300, y:640 }] };
+  const events = [], ctx = { emit:(ev, data) => events.push([ev, data]) };
+  const far = player('far', 900), near = player('near', 300 - PLAYER_W / 2, 640 - PLAYER_H / 2);
+  const room = makeRoom({ rngState:7 }, far, near);
+  room.powerups = newPowerups(map);
+  for (let t = 0; t < POWERUP_FIRST_TICKS - 1; t++) tickPowerups(room, ctx);
+  assert.deepStrictEqual(events, [], 'nothing before the first spawn');
+  tickPowerups(room, ctx);
+  const [ev, { index, kind }] = events[0];
+  assert.deepStrictEqual([ev, index], ['powerupSpawned', 0]);
+  tickPowerups(room, ctx);
+  assert.strictEqual(events[1][0], 'powerup');
+  assert.deepStrictEqual([events[1][1].playerId, events[1][1].kind], ['near', kind]);
+  assert.strictEqual(room.powerups[0].kind, null, 'taken');
+  if (kind === 'freezeRay') assert.strictEqual(far.stunTicks, STUN_TICKS);
+  else assert.deepStrictEqual([near.effect, near.effectTicks], [kind, POWERUP_TICKS[kind]]);
+});
+
+test('speed runs further, double jump jumps again in the air, and a stun holds you', () => {
+  const map = OPEN;
+  const plain = player('plain', 300), fast = player('fast', 300);
+  startEffect(fast, 'speed');
+  run(plain, map, 20, newWorld(), () => ({ right:true }));
+  run(fast, map, 20, newWorld(), () => ({ right:true }));
+  assert.ok(fast.x - 300 > (plain.x - 300) * 1.4, `${fast.x} vs ${plain.x}`);
+
+  const jumper = player('jumper', 300), hopper = player('hopper', 300);
+  startEffect(hopper, 'doubleJump');
+  const peak = p => {
+    let top = p.y;
+    run(p, map, 60, newWorld(), t => { top = Math.min(top, p.y); return { jump:t < 2 || (t >= 15 && t < 17) }; });
+    return top;
+  };
+  const single = peak(jumper), double = peak(hopper);
+  assert.ok(double < single - 40, `double jump peaked at ${double}, single at ${single}`);
+
+  const stunned = player('stunned', 300);
+  stunned.stunTicks = STUN_TICKS;
+  run(stunned, map, STUN_TICKS - 1, newWorld(), () => ({ right:true }));
+  assert.strictEqual(stunned.x, 300);
+  run(stunned, map, 5, newWorld(), () => ({ right:true }));
+  assert.ok(stunned.x > 300, 'moves again once the stun wears off');
+});
+
+test('a shield blocks a tag once, with a short grace afterwards', () => {
+  const it = player('it', 300), target = player('target', 320);
+  it.isIt = true;
+  startEffect(target, 'shield');
+  const room = makeRoom({ rngState:7 }, it, target);
+  room.itPlayerId = 'it';
+  queueInput(room, 'it', { seq:1, tick:1 });
+  gameTick(room);
+  assert.strictEqual(room.itPlayerId, 'it', 'shield took the tag');
+  assert.strictEqual(target.effect, null);
+  assert.strictEqual(target.tagCooldown, SHIELD_GRACE_TICKS);
+  for (let t = 0; t < SHIELD_GRACE_TICKS; t++) gameTick(room);
+  assert.strictEqual(room.itPlayerId, 'target', 'no shield the second time');
+});
+
+test('nobody else is sent where an invisible player is', () => {
+  const ghost = player('ghost', 300), other = player('other', 600);
+  const room = makeRoom({}, ghost, other);
+  startEffect(ghost, 'invisible');
+  hiddenPlayers(room);
+  ghost.x = 420; ghost.vx = 200;
+  const hidden = hiddenPlayers(room), json = jsonPlayers(room), quantized = quantizeRoom(room);
+  assert.deepStrictEqual([viewFor(room, other, json, hidden).ghost.x, viewFor(room, other, json, hidden).ghost.vx], [300, 0]);
+  assert.deepStrictEqual([viewFor(room, null, quantized, hidden).get(0).x, viewFor(room, null, quantized, hidden).get(0).vx], [3000, 0], 'nor to spectators');
+  assert.strictEqual(viewFor(room, ghost, json, hidden).ghost.x, 420, 'the owner sees itself');
+  assert.strictEqual(viewFor(room, ghost, quantized, hidden), quantized);
+  assert.strictEqual(json.ghost.x, 420, 'the shared copy is untouched');
+
+  ghost.effect = null;
+  assert.strictEqual(viewFor(room, other, json, hiddenPlayers(room)), json, 'seen again once it wears off');
+  assert.strictEqual(ghost.lastSeen, null);
+});
+
+test('going invisible early in a new round hides you at the new spawn', () => {
+  const ghost = player('ghost', 300), other = player('other', 600);
+  const room = makeRoom({}, ghost, other);
+  startEffect(ghost, 'invisible');
+  hiddenPlayers(room);
+  // The round ends while still invisible; the next one starts with no tick
+  // in between to let the effect wear off
+  resetPlayer(ghost, { x:900, y:624 });
+  startEffect(ghost, 'invisible');
+  const hidden = hiddenPlayers(room);
+  assert.strictEqual(viewFor(room, other, jsonPlayers(room), hidden).ghost.x, 900);
+});
+
+test('riders go up with an elevator; a crumbling platform drops them, then grows back', () => {
+  const lift = SKYWORKS.platforms.find(p => p.path && p.path[0].x === p.x);
+  const rider = player('rider', lift.x + 30, lift.y - PLAYER_H);
+  run(rider, SKYWORKS, 60);
+  const top = platformPosition(lift, 60);
+  assert.ok(top.y < lift.y - 70, 'the lift went up');
+  assert.strictEqual(rider.y, top.y - PLAYER_H);
+  assert.ok(rider.onGround);
+
+  const i = SKYWORKS.platforms.findIndex(p => p.crumble), plat = SKYWORKS.platforms[i];
+  const faller = player('faller', plat.x + 30, plat.y - PLAYER_H);
+  const world = run(faller, SKYWORKS, CRUMBLE_TICKS - 1);
+  assert.strictEqual(faller.y, plat.y - PLAYER_H, 'holds for a moment');
+  assert.strictEqual(world.crumble[i], 1);
+  run(faller, SKYWORKS, 20, world);
+  assert.ok(faller.y > plat.y, 'fell through');
+  run(faller, SKYWORKS, CRUMBLE_GONE_TICKS, world);
+  assert.strictEqual(world.crumble[i], undefined, 'grown back');
+});
+
+test('one-way platforms are jumped up through; ice keeps you sliding', () => {
+  const ledge = SKYWORKS.platforms.find(p => p.oneWay && !p.ice && p.y === 560);
+  const climber = player('climber', ledge.x + 40, 624);
+  run(climber, SKYWORKS, 60, newWorld(), t => ({ jump:t < 2 }));
+  assert.strictEqual(climber.y, ledge.y - PLAYER_H, 'landed on top');
+
+  const ice = SKYWORKS.platforms.find(p => p.ice);
+  const skater = player('skater', ice.x + 20, ice.y - PLAYER_H), walker = player('walker', 100);
+  const runThenStop = t => ({ right:t < 30 });
+  run(skater, SKYWORKS, 60, newWorld(), runThenStop);
+  run(walker, MAPS[0], 60, newWorld(), runThenStop);
+  assert.ok(skater.vx > 0, 'still sliding');
+  assert.strictEqual(walker.vx, 0);
+});
@@ -0,0 +1,75 @@
+/**
+ * Profiles: nicknames are held by the device that claimed them, lifetime
+ * stats add up round by round, and leaderboards rank them.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const { openProfiles, flushProfiles, claimName, recordRound, getProfile, leaderboard } = require('../lib/profiles');
+
+const ALICE = 'a'.repeat(32), MALLORY = 'm'.repeat(32);
+
+test('a claimed name only works from the device that claimed it', () => {
+  const store = openProfiles(null);
+  assert.deepStrictEqual(claimName(store, 'Alice', ALICE), { ok:true, key:'alice' });
+  assert.deepStrictEqual(claimName(store, ' ALICE ', ALICE), { ok:true, key:'alice' });
+  assert.match(claimName(store, 'alice', MALLORY).error, /belongs to another player/);
+  assert.strictEqual(claimName(store, 'alice', undefined).ok, false);
+  // No token: a guest, with nothing recorded
+  assert.deepStrictEqual(claimName(store, 'Bob', undefined), { ok:true, key:null });
+  assert.deepStrictEqual(claimName(store, 'Bob', 'short'), { ok:true, key:null });
+  assert.strictEqual(getProfile(store, 'bob'), null);
+  assert.strictEqual(getProfile(store, 'Alice').tokenHash, undefined);
+});
+
+test('rounds add to lifetime and per-map stats and report the change', () => {
+  const store = openProfiles(null);
+  claimName(store, 'Alice', ALICE);
+  const row = { id:'p1', won:true, tagsMade:2, timesTagged:1, itSeconds:12, points:60 };
+  recordRound(store, [{ key:'alice', row }], { mapName:'Forest', newGame:true });
+  const changes = recordRound(store, [{ key:'alice', row:{ ...row, won:false, points:10 } }], { mapName:'Arctic' });
+  const { totals, delta } = changes.get('alice');
+  assert.deepStrictEqual(delta, { gamesPlayed:0, roundsPlayed:1, roundsSurvived:0, tagsMade:2, timesTagged:1, itSeconds:12, points:10 });
+  assert.deepStrictEqual(totals, { gamesPlayed:1, roundsPlayed:2, roundsSurvived:1, tagsMade:4, timesTagged:2, itSeconds:24, points:70 });
+  assert.strictEqual(getProfile(store, 'alice').maps.Forest.roundsSurvived, 1);
+  // Custom maps count toward the totals only
+  recordRound(store, [{ key:'alice', row }], { mapName:null });
+  assert.deepStrictEqual(Object.keys(getProfile(store, 'alice').maps), ['Forest', 'Arctic']);
+});
+
+test('time as IT adds up in tenths without float noise', () => {
+  const store = openProfiles(null);
+  claimName(store, 'Alice', ALICE);
+  for (let i = 0; i < 164; i++) recordRound(store, [{ key:'alice', row:{ itSeconds:0.1 } }], { mapName:'Forest' });
+  const { stats, maps } = getProfile(store, 'alice');
+  assert.strictEqual(stats.itSeconds, 16.4);
+  assert.strictEqual(maps.Forest.itSeconds, 16.4);
+});
+
+test('leaderboards rank by the chosen stat, globally and per map', () => {
+  const store = openProfiles(null);
+  for (const [name, token, tags, points, map] of [['Ann', ALICE, 9, 10, 'Forest'], ['Ben', MALLORY, 1, 50, 'Forest'], ['Cat', 'c'.repeat(32), 4, 30, 'Desert']]) {
+    claimName(store, name, token);
+    recordRound(store, [{ key:name.toLowerCase(), row:{ won:true, tagsMade:tags, points } }], { mapName:map, newGame:true });
+  }
+  claimName(store, 'Idle', 'i'.repeat(32));    // never played: not listed
+  assert.deepStrictEqual(leaderboard(store).rows.map(r => r.name), ['Ben', 'Cat', 'Ann']);
+  assert.deepStrictEqual(leaderboard(store, { sort:'tagsMade', limit:2 }).rows.map(r => [r.place, r.name]), [[1, 'Ann'], [2, 'Cat']]);
+  assert.deepStrictEqual(leaderboard(store, { mapName:'Forest' }).rows.map(r => r.name), ['Ben', 'Ann']);
+  assert.strictEqual(leaderboard(store, { sort:'tokenHash' }).sort, 'points');
+});
+
+test('profiles survive a restart', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tag-profiles-')), 'profiles.json');
+  const store = openProfiles(file);
+  claimName(store, 'Alice', ALICE);
+  recordRound(store, [{ key:'alice', row:{ won:true, points:5 } }], { newGame:true });
+  flushProfiles(store);
+  const again = openProfiles(file);
+  assert.strictEqual(getProfile(again, 'alice').stats.points, 5);
+  assert.strictEqual(claimName(again, 'alice', MALLORY).ok, false);
+  fs.rmSync(path.dirname(file), { recursive:true });
+});
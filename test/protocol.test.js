@@ -0,0 +1,80 @@
+/**
+ * Binary snapshot codec: full and delta snapshots must decode back to the
+ * same quantized state the server encoded.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const {
+  GROUPS, quantizePlayer, dequantizePlayer, encodeSnapshot, decodeSnapshot, NO_SLOT,
+} = require('../public/protocol');
+
+function player(x, y, extra = {}) {
+  return { x, y, vx:0, vy:0, onGround:true, isIt:false, facingRight:true, tagCooldown:0, teleportCooldown:0, ...extra };
+}
+
+function snapOf(id, players, inputs = {}) {
+  const m = new Map();
+  players.forEach((p, slot) => m.set(slot, quantizePlayer(p, inputs[slot])));
+  return { id, timer:90, itSlot:1, selfSlot:0, players:m };
+}
+
+// Self-only groups (input ack, effect timers) are only sent for the
+// receiver's own slot.
+const SELF_ONLY = GROUPS.filter(g => g.selfOnly).flatMap(g => g.fields.map(([name]) => name));
+function visible(snap) {
+  const players = {};
+  for (const [slot, q] of snap.players) {
+    const p = dequantizePlayer(q);
+    if (slot !== snap.selfSlot) for (const name of SELF_ONLY) delete p[name];
+    players[slot] = p;
+  }
+  return { ...snap, players };
+}
+
+test('full snapshot round-trips', () => {
+  const snap = snapOf(10, [player(100.26, 624, { vx:-260 }), player(1160, -12.5, { isIt:true, vy:-820, onGround:false })],
+                      { 0:{ lastSeq:77, jumpBuffer:3 } });
+  const dec  = decodeSnapshot(encodeSnapshot(snap, null), () => null);
+  assert.deepStrictEqual(visible(dec), visible(snap));
+  const me = dequantizePlayer(dec.players.get(0));
+  assert.strictEqual(me.x, 100.3);
+  assert.strictEqual(me.seq, 77);
+  assert.strictEqual(dequantizePlayer(dec.players.get(1)).isIt, true);
+});
+
+test('delta only carries changed groups and decodes against its base', () => {
+  const a = snapOf(10, [player(100, 624), player(500, 624), player(900, 624)]);
+  const b = snapOf(12, [player(104.3, 624, { vx:260 }), player(500, 624), player(900, 624)]);
+  const full  = encodeSnapshot(b, null);
+  const delta = encodeSnapshot(b, a);
+  assert.ok(delta.length < full.length / 2, `delta ${delta.length}B vs full ${full.length}B`);
+  const decA = decodeSnapshot(encodeSnapshot(a, null), () => null);
+  const decB = decodeSnapshot(delta, id => (id === 10 ? decA : null));
+  assert.deepStrictEqual(visible(decB), visible(b));
+});
+
+test('players missing from a delta are removed', () => {
+  const a = snapOf(10, [player(100, 624), player(500, 624)]);
+  const b = snapOf(11, [player(100, 624)]);
+  b.itSlot = NO_SLOT;
+  const decB = decodeSnapshot(encodeSnapshot(b, a), () => a);
+  assert.strictEqual(decB.players.size, 1);
+  assert.strictEqual(decB.itSlot, NO_SLOT);
+});
+
+test('delta with an unknown base is rejected', () => {
+  const a = snapOf(10, [player(100, 624)]);
+  const b = snapOf(11, [player(110, 624)]);
+  assert.strictEqual(decodeSnapshot(encodeSnapshot(b, a), () => null), null);
+});
+
+test('power-up effects and stuns round-trip; their timers only reach the owner', () => {
+  const a = snapOf(10, [player(100, 624), player(500, 624)]);
+  const b = snapOf(11, [player(100, 624, { effect:'shield', effectTicks:400, airJumps:0 }), player(500, 624, { effect:'invisible', effectTicks:90, stunTicks:12 })]);
+  const decB = decodeSnapshot(encodeSnapshot(b, a), () => a);
+  assert.deepStrictEqual(visible(decB), visible(b));
+  const me = dequantizePlayer(decB.players.get(0)), other = dequantizePlayer(decB.players.get(1));
+  assert.deepStrictEqual([me.effect, me.effectTicks, me.stunned], ['shield', 400, false]);
+  assert.deepStrictEqual([other.effect, other.stunned, other.effectTicks], ['invisible', true, 0], 'not the real timer');
+});
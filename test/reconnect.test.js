@@ -0,0 +1,66 @@
+/**
+ * Reconnects: a dropped player is held in the room for the grace period,
+ * and resumeSession puts a new socket back into the same player.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+process.env.PROFILE_FILE       = '';
+process.env.RECONNECT_GRACE_MS = '50';
+const { rooms, io, addPlayerToRoom, dropPlayerSocket, resumeSession } = require('../server');
+const { player, makeRoom } = require('./support/helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let sockets = 0;
+function fakeSocket() {
+  return { id:'sock' + (++sockets), handshake:{ address:'10.0.0.1', headers:{} }, disconnected:false, join() {}, disconnect() { this.disconnected = true; } };
+}
+
+// A lobby with its host and a runner who joined through a socket, so the
+// runner has a session token
+function lobby(code) {
+  const room = makeRoom({ code, host:'host', status:'lobby' }, player('host', 100));
+  rooms.set(code, room);
+  const socket = fakeSocket(), runner = addPlayerToRoom(room, socket, 'Runner', 1, { x:300, y:624 });
+  return { room, runner, socket };
+}
+test.after(() => { for (const code of ['GONE', 'BACK']) rooms.delete(code); });
+
+test('a dropped player is held for the grace period, then removed', async () => {
+  const { room, runner } = lobby('GONE');
+  dropPlayerSocket(room, runner.id);
+  assert.strictEqual(room.players.get(runner.id), runner, 'still in the room');
+  assert.strictEqual(runner.socketId, null);
+  assert.ok(runner.bot?.takeover, 'a bot plays meanwhile');
+
+  await sleep(100);
+  assert.strictEqual(room.players.has(runner.id), false);
+  assert.strictEqual(resumeSession(fakeSocket(), runner.sessionToken), null, 'an expired token is refused');
+  assert.strictEqual(resumeSession(fakeSocket(), 'no-such-token'), null, 'and so is an unknown one');
+});
+
+test('resuming keeps the same player and closes the old socket', async () => {
+  const { room, runner, socket } = lobby('BACK');
+  const { id, slot } = runner;
+  runner.tagsMade = 2; runner.timesTagged = 1;
+  dropPlayerSocket(room, runner.id);
+
+  const phone = fakeSocket();
+  const r = resumeSession(phone, runner.sessionToken);
+  assert.strictEqual(r.player, runner);
+  assert.deepStrictEqual([runner.id, runner.slot, runner.tagsMade, runner.timesTagged], [id, slot, 2, 1]);
+  assert.strictEqual(runner.socketId, phone.id);
+  assert.strictEqual(runner.bot, null, 'the stand-in bot is gone');
+  await sleep(100);
+  assert.strictEqual(room.players.get(id), runner, 'the grace timer was called off');
+
+  // The server hasn't noticed the phone's socket died when the laptop resumes
+  io.sockets.sockets.set(phone.id, phone);
+  const laptop = fakeSocket();
+  assert.strictEqual(resumeSession(laptop, runner.sessionToken).player, runner);
+  io.sockets.sockets.delete(phone.id);
+  assert.strictEqual(phone.disconnected, true);
+  assert.strictEqual(socket.disconnected, false, 'already gone before the first resume');
+  assert.strictEqual(runner.socketId, laptop.id);
+});
@@ -0,0 +1,69 @@
+/**
+ * Recording & replay: a round fed back through gameTick from its recording
+ * reproduces the same tags, roles, positions and ending.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { MAPS, replays, gameTick, queueInput, newInputState } = require('../server');
+const { newBrain } = require('../lib/bots');
+const { startRecording, playback } = require('../lib/replay');
+const { TICK_RATE } = require('../public/shared');
+const { player, makeRoom, clearAfterRun } = require('./support/helpers');
+
+// Three bots plus a laggy "human" who renders 6 ticks behind and whose
+// commands sometimes arrive late
+function recordRound(mode, seconds) {
+  const players = [player('human', 100), ...[1, 2, 3].map(i => player('bot' + i, 250 + i * 250))];
+  for (const p of players.slice(1)) { p.bot = newBrain('hard'); p.isBot = true; }
+  const room = makeRoom({ mode, rngState:12345, roundDuration:seconds }, ...players);
+  require('../lib/modes').getMode(room).start(room, { emit() {} });
+  room.recording = startRecording(room, MAPS[0], mode + '-test');
+
+  for (let seq = 1; room.status === 'playing'; seq++) {
+    if (seq % 7 !== 0) {
+      const t = room.tick + 1;
+      queueInput(room, 'human', { seq, tick:t, view:t - 6, right:(t >> 6) % 2 === 0, left:(t >> 6) % 2 === 1, jump:t % 45 < 3 });
+    }
+    gameTick(room);
+  }
+  return room;
+}
+
+function replay(data) {
+  const { room, next } = playback(data, newInputState);
+  clearAfterRun(room);
+  room.recording = startRecording(room, data.map, data.id + '-again');
+  while (room.status === 'playing' && next()) gameTick(room);
+  return room;
+}
+
+for (const mode of ['classic', 'hotPotato']) {
+  test(`a recorded ${mode} round replays identically through gameTick`, () => {
+    const room = recordRound(mode, 40);
+    const data = replays.get(room.lastEnd.replayId);
+    assert.ok(data, 'the finished round was stored');
+    assert.ok(data.events.some(([, ev]) => ev === 'tagged'), 'something happened worth replaying');
+    // Round-trips as JSON, like a downloaded file
+    const again = replay(JSON.parse(JSON.stringify(data)));
+    assert.strictEqual(again.tick, room.tick);
+    assert.strictEqual(again.lastEnd.reason, room.lastEnd.reason);
+    const redone = replays.get(again.lastEnd.replayId);
+    assert.deepStrictEqual(redone.events, data.events);
+    assert.deepStrictEqual(redone.roles, data.roles);
+    assert.deepStrictEqual(redone.inputs, data.inputs);
+    for (const p of room.players.values()) {
+      const q = again.players.get(p.id);
+      assert.deepStrictEqual([q.x, q.y, q.isIt, q.eliminated], [p.x, p.y, p.isIt, p.eliminated], p.id);
+    }
+  });
+}
+
+test('recordings only store inputs when they change', () => {
+  const room = recordRound('classic', 10);
+  const data = replays.get(room.lastEnd.replayId);
+  const bots = data.inputs.filter(([, slot]) => slot !== 0);
+  assert.ok(bots.length < room.tick * 3 / 4, `${bots.length} entries over ${room.tick} ticks`);
+  assert.ok(data.inputs.some(([, slot, bits]) => slot === 0 && bits === -1), 'late commands are marked');
+  assert.strictEqual(data.tickRate, TICK_RATE);
+});
@@ -0,0 +1,44 @@
+/**
+ * Spectators: watching never puts anyone in room.players or the tag logic,
+ * and the queue is seated — ahead of bots — when the room returns to lobby.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { gameTick, addSpectator, returnToLobby } = require('../server');
+const { newBrain } = require('../lib/bots');
+const { TICK_RATE } = require('../public/shared');
+const { player, makeRoom } = require('./support/helpers');
+
+let sockets = 0;
+const fakeSocket = () => ({ id:'spec' + (++sockets), join() {}, leave() {}, emit() {} });
+
+test('spectators stay out of the players and the tag logic', () => {
+  const it = player('it', 100), run = player('run', 500);
+  it.isIt = true;
+  const room = makeRoom({}, it, run);
+  room.itPlayerId = 'it';
+  const spectator = addSpectator(room, fakeSocket(), 'watcher');
+  for (let t = 0; t < TICK_RATE; t++) gameTick(room);
+  assert.strictEqual(room.players.size, 2);
+  assert.ok(!room.inputs.has(spectator.id));
+  assert.strictEqual(room.itPlayerId, 'it');
+  assert.strictEqual(room.spectators.get(spectator.id).name, 'watcher');
+});
+
+test('returning to the lobby seats queued spectators in order, replacing bots', () => {
+  const humans = ['a', 'b', 'c'].map((id, i) => player(id, 100 + i * 200));
+  const bot = player('bot', 900);
+  bot.isBot = true; bot.bot = newBrain('normal');
+  const room = makeRoom({}, ...humans, bot);
+  room.status = 'ended';
+  const first = addSpectator(room, fakeSocket(), 'first');
+  addSpectator(room, fakeSocket(), 'second');
+
+  returnToLobby(room);
+  assert.strictEqual(room.status, 'lobby');
+  assert.ok(!room.players.has('bot'), 'the bot gave up its slot');
+  const seated = [...room.players.values()].find(p => p.name === 'first');
+  assert.ok(seated && seated.slot === 3 && seated.socketId === first.socketId);
+  assert.deepStrictEqual([...room.spectators.values()].map(s => s.name), ['second'], 'second waits for the next slot');
+});
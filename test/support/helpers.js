@@ -0,0 +1,42 @@
+/**
+ * Shared fixtures: rooms and players built by the server's own constructors
+ * (blankRoom, blankPlayer, resetPlayer), so they have every field a real
+ * round has. Rooms made here get their phase timer cleared after the run.
+ * Lives outside `test/*.test.js` so the runner doesn't load it as a suite.
+ */
+const test = require('node:test');
+
+const { blankRoom, blankPlayer, resetPlayer, newInputState } = require('../../server');
+
+// Ended rounds schedule the podium → lobby timer; don't let it hold the run open
+const made = [];
+test.after(() => { for (const room of made) clearTimeout(room.phaseTimer); });
+// For rooms built some other way (e.g. replay playback)
+const clearAfterRun = room => { made.push(room); return room; };
+
+// A player as a round starts, standing on Forest's floor at x; its slot is
+// set when it joins a room
+function player(id, x, y = 624) {
+  const p = blankPlayer(id, 0, { x, y }, id);
+  resetPlayer(p, { x, y });
+  p.onGround = true;
+  return p;
+}
+
+/**
+ * A room mid-round on map 0 with `players` in slots 0, 1, … The round is
+ * long enough not to end by itself; `fields` overrides any room field.
+ * gameTick sets up the world and power-up spots on its first tick.
+ */
+function makeRoom(fields = {}, ...players) {
+  const room = Object.assign(blankRoom('TEST', 0, 9999), { status:'playing', powerups:null }, fields);
+  room.timer = fields.timer ?? room.roundDuration;
+  players.forEach((p, i) => {
+    p.slot = i;
+    room.players.set(p.id, p);
+    room.inputs.set(p.id, newInputState());
+  });
+  return clearAfterRun(room);
+}
+
+module.exports = { player, makeRoom, clearAfterRun };
@@ -0,0 +1,43 @@
+/**
+ * Lag-compensated tag detection: a tag that landed on the "it" player's
+ * screen (view tick) must count even if the target has since moved away.
+ */
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { gameTick, queueInput, LAG_COMP_TICKS } = require('../server');
+const { player, makeRoom } = require('./support/helpers');
+
+// "it" stands still with a tag cooldown; the target starts in range, then
+// runs away just before the cooldown expires.
+function chase(viewLag, runFrom = 25) {
+  const it = player('it', 300), target = player('target', 340);
+  it.isIt = true; it.tagCooldown = 30;
+  const room = makeRoom({ itPlayerId:'it' }, it, target);
+  for (let seq = 1; seq <= 31; seq++) {
+    const view = viewLag === null ? 0 : Math.max(1, room.tick + 1 - viewLag);
+    queueInput(room, 'it', { seq, tick:seq, view });
+    queueInput(room, 'target', { seq, tick:seq, right:seq >= runFrom });
+    gameTick(room);
+  }
+  return { room, it, target };
+}
+
+test('target out of range now but in range at the view tick is tagged', () => {
+  assert.ok(LAG_COMP_TICKS >= 8, 'default rewind window should cover the test lag');
+  const { room, target } = chase(8);
+  assert.strictEqual(room.itPlayerId, 'target');
+  assert.strictEqual(target.timesTagged, 1);
+});
+
+test('no view tick means no rewind', () => {
+  const { room } = chase(null);
+  assert.strictEqual(room.itPlayerId, 'it');
+});
+
+test('rewind is capped at the configured window', () => {
+  // Target left range ~18 ticks before the check; the client claims 20 ticks of lag
+  const { room } = chase(20, 12);
+  assert.ok(20 > LAG_COMP_TICKS);
+  assert.strictEqual(room.itPlayerId, 'it');
+});